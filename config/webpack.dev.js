@@ -10,6 +10,16 @@ module.exports = {
 
     entry: {
         'dist/icon-picker.min': path.resolve('./src/js/IconPicker.js'),
+        'dist/icon-picker.worker': path.resolve('./src/js/utlis/iconWorker.js'),
+        'dist/icon-picker.element': {
+            import: path.resolve('./src/js/IconPickerElement.js'),
+            library: {
+                type: 'umd',
+                name: 'IconPickerElement',
+                export: 'default',
+                umdNamedDefine: true
+            }
+        },
         'dist/themes/bootstrap-5.min': path.resolve('./src/scss/themes/icon-picker.bootstrap-5.scss'),
         'dist/themes/default.min': path.resolve('./src/scss/themes/icon-picker.default.scss'),
     },
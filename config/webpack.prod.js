@@ -71,15 +71,63 @@ const TerserPlugin = require("terser-webpack-plugin");
         }
     })
 
+    // JS UMD <icon-picker> element, bundles the picker
+    await webpack({
+        mode: 'production',
+        entry: {
+            'icon-picker.element.min': path.resolve('./src/js/IconPickerElement.js')
+        },
+        output: {
+            path: path.resolve('./dist'),
+            library: {
+                name: 'IconPickerElement',
+                export: 'default',
+                type: 'umd2'
+            }
+        },
+        plugins: [
+            banner
+        ],
+        optimization: {
+            minimizer: [
+                new TerserPlugin({
+                    extractComments: false
+                })
+            ]
+        }
+    })
+
+    // JS icon worker, loaded next to the picker script
+    await webpack({
+        mode: 'production',
+        entry: {
+            'icon-picker.worker': path.resolve('./src/js/utlis/iconWorker.js')
+        },
+        output: {
+            path: path.resolve('./dist')
+        },
+        plugins: [
+            banner
+        ],
+        optimization: {
+            minimizer: [
+                new TerserPlugin({
+                    extractComments: false
+                })
+            ]
+        }
+    })
+
     // JS ESM
     await webpack({
         mode: 'production',
         entry: {
-            'icon-picker.esm': path.resolve('./src/js/IconPicker.js')
+            'icon-picker.esm': path.resolve('./src/js/IconPicker.js'),
+            'icon-picker.element.esm': path.resolve('./src/js/IconPickerElement.js')
         },
         output: {
             path: path.resolve('./dist'),
-            filename: 'icon-picker.esm.js',
+            filename: '[name].js',
             library: {
                 type: 'module'
             },
@@ -1,22 +1,108 @@
 import * as _ from "./utlis/utils";
 import VirtualIconGrid from "./utlis/virtualIconGrid";
-import template from "./template";
-import { resolveCollection } from "./utlis/collections";
+import template, { themeClasses } from "./template";
+import { resolveCollection, registerCollection } from "./utlis/collections";
+import { loadCollection, defaultFetcher } from "./utlis/loader";
+import { createCachedFetcher, clearCache, DEFAULT_CACHE_OPTIONS } from "./utlis/cache";
+import { processCollectionsAsync } from "./utlis/processCollections";
+import { createStorage } from "./utlis/storage";
+import { customizeIcon, DEFAULT_CUSTOMIZATION } from "./utlis/customize";
+import { FORMATS, formatIcon, parseIconReference } from "./utlis/formats";
+import { createSanitizer, setMarkup } from "./utlis/sanitize";
+import { LOCALES, localeMessages, isRtlLocale, translate, normalizeLocale } from "./utlis/i18n";
+import { normalizeTheme, isDarkScheme, watchColorScheme, applyTokens } from "./utlis/theme";
+import { matchedTerms, highlightRanges, relevanceBucket } from "./utlis/search";
+
+// Tile size factors of the grid densities, the tile size itself comes from `itemSize` or the theme
+const DENSITIES = {compact: .75, comfortable: 1, large: 1.5};
 
 export default class IconPicker {
     virtualIconGrid = null;
     availableIcons = [];
+    selectedIcons = new Map();
+    activeCategory = null;
+    activeLibrary = null;
+    libraries = [];
+    recentIcons = [];
+    favoriteIcons = new Set();
+    customization = null;
+    _safeBodies = new WeakMap();
     static DEFAULT_OPTIONS = {
-        theme: 'default',
+        theme: 'default', // stylesheet name, or {name, colorScheme: 'auto' | 'light' | 'dark', dark: {…}, …tokens}
+        display: 'modal', // 'modal' | 'inline' | 'popover'
+        container: null, // element or selector the `inline` picker renders into
         closeOnSelect: true,
         defaultValue: null,
         iconSource: [],
+        fetcher: null,
+        cache: false,
+        worker: true, // true (next to the script), false or the URL of icon-picker.worker.js
+        sanitize: true, // true (built-in allowlist), false, DOMPurify or a function returning safe markup
+        timeout: 30000, // ms per icon source, 0 to wait forever
+        multiple: false,
+        maxSelections: null,
+        valueSerializer: 'comma',
+        valueFormat: 'class', // 'class' | 'name' | 'iconify' | 'svg' | 'dataUri' | 'base64' | 'maskImage' | 'json'
+        payloadFormats: [], // extra formats added to the emitted icons, e.g. ['dataUri', 'maskImage']
+        customize: false, // true or the initial {color, size, rotate, hFlip, vFlip}
+        details: false, // pane with the focused / selected icon and copy buttons
+        view: 'grid', // 'grid' | 'list' (one icon per row with its name and library)
+        density: 'comfortable', // 'compact' | 'comfortable' | 'large'
+        viewToggle: true, // buttons to switch the density and the list view
+        groupBy: null, // 'library' | 'category' | 'relevance' | (icon, {score, query}) => section key, sections get a sticky header
+        name: null, // form field name, a hidden input is created when the trigger isn't an input
+        required: false,
+        rememberLibrary: false,
+        favorites: true,
+        recentLimit: 12,
+        storage: null,
+        storageKey: 'icon-picker',
+        locale: null, // built-in translations, e.g. 'de' or 'pt-BR', `i18n` is merged on top
+        direction: 'auto', // 'auto' (from the locale, then the page), 'ltr' or 'rtl'
+        nameFormatter: null, // (name, {value, source, locale}) => label shown in tooltips and aria-labels
         i18n: {
             'input:placeholder': 'Search icon…',
 
             'text:title': 'Select icon',
             'text:empty': 'No results found…',
             'text:loading' : 'Loading…',
+            'text:error': 'Could not load {sources}.',
+            'text:selection': 'Selected icons',
+            'text:categories': 'Categories',
+            'text:libraries': 'Libraries',
+            'text:recent': 'Recent',
+            'text:favorites': 'Favorites',
+            'text:required': 'Please select an icon.',
+            'text:customize': 'Customize',
+            'text:color': 'Color',
+            'text:size': 'Size',
+            'text:rotate': 'Rotation',
+            'text:details': 'Icon details',
+            'text:name': 'Name',
+            'text:class': 'Class',
+            'text:library': 'Library',
+            'text:unicode': 'Unicode',
+            'text:copied': 'Copied',
+            'text:results': {one: '{count} icon found', other: '{count} icons found'},
+            'text:view': 'View',
+            'text:bestMatches': 'Best matches',
+            'text:goodMatches': 'Good matches',
+            'text:relatedMatches': 'Related',
+            'btn:allCategories': 'All',
+            'btn:allLibraries': 'All',
+            'btn:favorite': 'Toggle favorite',
+            'btn:retry': 'Retry',
+            'btn:flipHorizontal': 'Flip horizontally',
+            'btn:flipVertical': 'Flip vertically',
+            'btn:reset': 'Reset',
+            'btn:copyClass': 'Copy class',
+            'btn:copySvg': 'Copy SVG',
+            'btn:copyUnicode': 'Copy unicode',
+            'btn:close': 'Close',
+            'btn:viewCompact': 'Compact grid',
+            'btn:viewComfortable': 'Comfortable grid',
+            'btn:viewLarge': 'Large grid',
+            'btn:viewList': 'List',
 
             'btn:save': 'Save'
         },
@@ -24,15 +110,67 @@ export default class IconPicker {
         iconSize: 32, // px
     }
 
+    /**
+     * Built-in ways to store several selected values in the bound input (`multiple` mode)
+     */
+    static SERIALIZERS = {
+        comma: {
+            // Values holding a comma or a quote (`json`, `dataUri`… formats) are quoted like in CSV
+            serialize: values => _.joinQuoted(values),
+            parse: str => _.splitQuoted(str)
+        },
+        json: {
+            serialize: values => JSON.stringify(values),
+            parse: str => {
+                try {
+                    const values = JSON.parse(str);
+                    return Array.isArray(values) ? values : [values];
+                } catch (e) {
+                    return [];
+                }
+            }
+        }
+    }
+
     _eventListener = {
         select: [],
         save: [],
         show: [],
         clear: [],
         hide: [],
-        loaded: []
+        loaded: [],
+        error: []
     };
 
+    // Processed icons per source key, so retries only load what is missing
+    _collections = new Map();
+
+    // AbortController per source key while it loads
+    _loading = new Map();
+
+    /**
+     * Built-in translations by locale, add your own to use them with the `locale` option
+     */
+    static LOCALES = LOCALES;
+
+    /**
+     * Add or replace a named collection usable in `iconSource`
+     * @param {string} name
+     * @param {{key: string, prefix: string, url?: string, data?: Object, load?: Function}} collection
+     */
+    static registerCollection(name, collection) {
+        registerCollection(name, collection);
+    }
+
+    /**
+     * Remove the collections stored by the `cache` option
+     * @param {string} name Cache name, defaults to the built-in one
+     * @returns {Promise<boolean>}
+     */
+    static clearCache(name = DEFAULT_CACHE_OPTIONS.name) {
+        return clearCache(name);
+    }
+
     /**
      *
      * @param {string | HTMLElement} el
@@ -40,7 +178,23 @@ export default class IconPicker {
      */
     constructor(el, options = {}) {
         this.options = _.mergeDeep(IconPicker.DEFAULT_OPTIONS, options);
+        // One tag for the bundle lookup, `lang` and Intl, which throws on `pt_BR`
+        this.options.locale = normalizeLocale(this.options.locale);
+        // Plural messages are replaced as a whole, not merged
+        this.options.i18n = {...IconPicker.DEFAULT_OPTIONS.i18n, ...localeMessages(this.options.locale), ...options.i18n};
         this.element = el;
+
+        // Unknown formats fail here rather than halfway through a selection
+        [this.options.valueFormat, ...this.options.payloadFormats].forEach((format) => {
+            if (!FORMATS.hasOwnProperty(format)) {
+                this._catchError('valueFormatUnknown', {format});
+            }
+        });
+
+        // Picking several icons or customizing them only makes sense with an explicit save step
+        if (this.options.multiple || this.options.customize) {
+            this.options.closeOnSelect = false;
+        }
         this.iconsLoading = true;
 
         // Initialize icon picker
@@ -48,7 +202,10 @@ export default class IconPicker {
 
         if (this.element && this.options.iconSource.length > 0) {
             this._binEvents();
-            this._renderdIcons();
+            this._watchInputValue();
+            this._bindForm();
+            this._updateValidity();
+            this._queueRender();
             this._createModal();
         } else {
             this._catchError('iconSourceMissing');
@@ -58,7 +215,16 @@ export default class IconPicker {
 
     _preBuild() {
         this.element = _.resolveElement(this.element);
+        this.input = this.element ? this._createValueInput() : null;
+        this.direction = this._resolveDirection();
         this.root = template(this.options);
+        this.root.modal.dir = this.direction;
+        if (this.options.locale) {
+            this.root.modal.lang = this.options.locale;
+        }
+        this.storage = createStorage(this.options.storage, this.options.storageKey);
+        this.customization = this._initialCustomization();
+        this._sanitizer = createSanitizer(this.options.sanitize);
 
         if (!Array.isArray(this.options.iconSource) && this.options.iconSource.length > 0) {
             this.options.iconSource = [this.options.iconSource];
@@ -70,8 +236,18 @@ export default class IconPicker {
             renderItem: (icon) => this.renderItem(icon),
             i18nEmpty: this.options.i18n['text:empty'],
             estimateItemSize: { width: this.options.itemSize, height: this.options.itemSize }, // tweak to your tile size
-            bufferRows: 4
+            bufferRows: 4,
+            rtl: this.direction === 'rtl',
+            list: this.options.view === 'list',
+            id: `${this.root.modal.id}-grid`,
+            label: this.options.i18n['text:title'] || this.options.i18n['input:placeholder'],
+            multiselectable: this.options.multiple,
+            onResults: (count) => this._renderResultCount(count),
+            groupBy: this.options.groupBy ? (icon, context) => this._sectionKey(icon, context) : null,
+            renderHeader: (section) => this._renderSectionHeader(section),
+            headerHeight: 28
         });
+        this._applyTheme();
     }
 
     renderItem(icon) {
@@ -79,19 +255,91 @@ export default class IconPicker {
         const btn = document.createElement('button');
         btn.type = 'button';
         btn.className = `icon-element ${icon.value}`; 
-        btn.title = icon.value;
-        btn.setAttribute('aria-label', icon.value);
+        const name = this._iconName(icon);
+        btn.title = this.libraries.length > 1 ? `${name} – ${this._libraryName(icon.source)}` : name;
+        btn.setAttribute('aria-label', name);
         btn.dataset.value = icon.inputValue
-        btn.innerHTML = icon.body;
-        btn.addEventListener('click', (evt) => icon.onSelect && icon.onSelect(evt));
+        btn.dataset.source = icon.source;
+        btn.addEventListener('click', () => this._onSelect(icon));
+
+        if (this.options.view === 'list') {
+            this._renderListItem(btn, icon, name);
+        } else {
+            this._setMarkup(btn, this._iconMarkup(icon));
+        }
+
+        // Grid cells announce their selection state, see VirtualIconGrid
+        btn.setAttribute('aria-selected', String(this.selectedIcons.has(icon.inputValue)));
+
+        if (this.selectedIcons.has(icon.inputValue)) {
+            btn.classList.add('is-selected');
+        } else if (this._selectionFull()) {
+            btn.setAttribute('aria-disabled', 'true');
+        }
+
+        if (this.options.favorites) {
+            const star = document.createElement('span');
+            star.className = 'icon-element__favorite';
+            star.title = this.options.i18n['btn:favorite'];
+            star.setAttribute('aria-hidden', 'true');
+            star.textContent = '★';
+            star.addEventListener('click', (evt) => {
+                // Keep the tile's own click (selection) from firing
+                evt.stopPropagation();
+                this._toggleFavorite(icon);
+            });
+
+            btn.appendChild(star);
+            btn.classList.toggle('is-favorite', this.favoriteIcons.has(icon.inputValue));
+            btn.addEventListener('keydown', (evt) => {
+                if (evt.key === 'f' && !evt.ctrlKey && !evt.metaKey && !evt.altKey) {
+                    this._toggleFavorite(icon);
+                }
+            });
+        }
         
         return btn;
     }
 
+    /**
+     * Content of a list row: the icon, its name and a line with the library and the term it was found by,
+     * with the search highlighted
+     * @param {HTMLButtonElement} btn
+     * @param {Object} icon
+     * @param {string} name
+     * @private
+     */
+    _renderListItem(btn, icon, name) {
+        const query = this.virtualIconGrid?.query ?? '';
+        const glyph = document.createElement('span');
+        const label = document.createElement('span');
+        const title = document.createElement('span');
+        const meta = document.createElement('span');
+
+        glyph.className = 'icon-element__glyph';
+        label.className = 'icon-element__label';
+        title.className = 'icon-element__name';
+        meta.className = 'icon-element__meta';
+
+        this._setMarkup(glyph, this._iconMarkup(icon));
+        _.highlightText(title, name, highlightRanges(name, query));
+
+        // Tell why an icon showed up when it was found by an alias or a tag rather than by its name
+        const term = query ? matchedTerms(icon, query).find(text => text !== icon.value.toLowerCase()) : null;
+        const library = icon.source ? this._libraryName(icon.source) : '';
+        const text = [library, term].filter(Boolean).join(' · ');
+        _.highlightText(meta, text, term ? highlightRanges(text, query).filter(([start]) => start >= text.length - term.length) : []);
+
+        label.append(title, meta);
+        btn.append(glyph, label);
+    }
+
 
     ensureVirtualMounted = () => {
         // If modal just opened, wait a frame so it has layout/width
         requestAnimationFrame(() => {
+        // Destroyed in the meantime
+        if (!this.virtualIconGrid) return;
         if (!this.virtualIconGrid._mounted) {
             this.virtualIconGrid.mount();
         } else {
@@ -120,17 +368,91 @@ export default class IconPicker {
                 this.ensureVirtualMounted(); 
             }),
             _.addEvent(root.close, 'click', () => this.hide()),
+            _.addEvent(root.retry, 'click', () => !this.iconsLoading && this._queueRender()),
             _.addEvent(root.modal, 'click', (evt) => {
-                if (evt.target === root.modal) {
+                if (evt.target === root.modal && options.display === 'modal') {
                     this.hide();
                 }
             }),
-            _.addEvent(root.search, 'keyup', _.debounce(onSearch, 250))
+            _.addEvent(root.search, 'keyup', _.debounce(onSearch, 250)),
+            _.addEvent(root.search, 'keydown', (evt) => {
+                if (evt.key === 'ArrowDown') {
+                    evt.preventDefault();
+                    virtualIconGrid.focusActive();
+                }
+            }),
+            _.addEvent(root.modal, 'keydown', (evt) => {
+                if (evt.key === 'Escape' && options.display !== 'inline') {
+                    evt.stopPropagation();
+                    this.hide();
+                } else if (evt.key === 'Tab' && options.display === 'modal') {
+                    this._trapFocus(evt);
+                }
+            })
         ];
 
+        if (options.display !== 'inline') {
+            element.setAttribute('aria-haspopup', 'dialog');
+            element.setAttribute('aria-controls', root.modal.id);
+            element.setAttribute('aria-expanded', 'false');
+        }
+
+        // Buttons open on Enter/Space through their native click, inputs need an explicit key
+        if (element instanceof HTMLInputElement) {
+            this._eventBindings.push(_.addEvent(element, 'keydown', (evt) => {
+                if (evt.key === 'ArrowDown' || evt.key === 'Enter') {
+                    evt.preventDefault();
+                    this.show();
+                    this.ensureVirtualMounted();
+                }
+            }));
+        }
+
         if (!options.closeOnSelect) {
             this._eventBindings.push(_.addEvent(root.save, 'click', () => this._onSave()));
         }
+
+        if (root.customize) {
+            this._syncCustomizeControls();
+            this._eventBindings.push(
+                _.addEvent(root.customize, 'input', evt => this._onCustomize(evt)),
+                _.addEvent(root.customize, 'change', evt => this._onCustomize(evt)),
+                _.addEvent(root.customReset, 'click', () => {
+                    this.customization = this._initialCustomization();
+                    this._syncCustomizeControls();
+                    this._renderPreview();
+                })
+            );
+        }
+
+        if (root.views) {
+            this._eventBindings.push(_.addEvent(root.views, 'click', (evt) => {
+                const button = evt.target.closest('[data-filter]');
+
+                if (button) {
+                    const view = button.dataset.filter;
+                    view === 'list' ? this.setView('list') : this.setView('grid', view);
+                }
+            }));
+        }
+
+        if (root.details) {
+            const copy = (button, text) => () => this._detailIcon && this._copy(button, text(this._detailIcon));
+
+            this._eventBindings.push(
+                _.addEvent(root.content, 'focusin', (evt) => {
+                    const tile = evt.target.closest('.icon-element');
+                    const icon = tile && this._findIcon(tile.dataset.value);
+
+                    if (icon) {
+                        this._renderDetails(icon);
+                    }
+                }),
+                _.addEvent(root.copyClass, 'click', copy(root.copyClass, icon => icon.inputValue)),
+                _.addEvent(root.copySvg, 'click', copy(root.copySvg, icon => this._iconMarkup(icon))),
+                _.addEvent(root.copyUnicode, 'click', copy(root.copyUnicode, icon => icon.unicode))
+            );
+        }
     }
 
     /**
@@ -138,7 +460,25 @@ export default class IconPicker {
      */
     hide() {
         if (this.isOpen()) {
-            this.root.modal.classList.remove('is-visible');
+            const {modal} = this.root;
+            const hadFocus = modal.contains(document.activeElement);
+
+            modal.classList.remove('is-visible');
+            this._unbindPopover();
+            this._unbindFocusTrap();
+
+            // Inline pickers carry no popup ARIA, see `_binEvents`
+            if (this.options.display !== 'inline') {
+                this.element.setAttribute('aria-expanded', 'false');
+            }
+
+            // Back to where the picker was opened from, unless the user already moved on (outside click)
+            if (hadFocus && this.options.display !== 'inline') {
+                const returnFocus = this._returnFocus?.isConnected && this._returnFocus !== document.body ? this._returnFocus : this.element;
+                returnFocus.focus({preventScroll: true});
+            }
+            this._returnFocus = null;
+
             this._emit('hide');
 
             return this;
@@ -152,7 +492,20 @@ export default class IconPicker {
      */
     show() {
         if (!this.isOpen()) {
+            this._returnFocus = document.activeElement;
             this.root.modal.classList.add('is-visible');
+
+            if (this.options.display !== 'inline') {
+                this.element.setAttribute('aria-expanded', 'true');
+            }
+
+            if (this.options.display === 'popover') {
+                this._bindPopover();
+            } else if (this.options.display === 'modal') {
+                this._bindFocusTrap();
+            }
+
+            this.root.search.focus({preventScroll: true});
             this._emit('show');
 
             return this;
@@ -161,14 +514,104 @@ export default class IconPicker {
         return false
     }
 
+    /**
+     * Switch the theme of a live picker
+     * @param {string|Object} theme Same as the `theme` option
+     * @returns {IconPicker}
+     */
+    setTheme(theme) {
+        this.options.theme = theme;
+        this._applyTheme();
+
+        return this;
+    }
+
+    /**
+     * Switch between the grid densities and the list, the first visible icon stays in view
+     * @param {'grid'|'list'} view
+     * @param {'compact'|'comfortable'|'large'} density Size of the grid tiles and list icons
+     * @returns {IconPicker}
+     */
+    setView(view, density = this.options.density) {
+        this.options.view = view;
+        this.options.density = density;
+        this._applyView();
+
+        return this;
+    }
+
+    /**
+     * Scroll to a section of the `groupBy` option: a library key, a category, `best` / `good` / `related`
+     * or a key returned by your function
+     * @param {string} key
+     * @returns {boolean} `false` when the section isn't shown, e.g. the picker isn't open yet
+     */
+    scrollToSection(key) {
+        return this.virtualIconGrid.scrollToSection(key);
+    }
+
     clear() {
-        if (this.initialized && this.currentlySelectName) {
-            this.currentlySelectName = null;
+        if (this.initialized && this.selectedIcons.size > 0) {
+            this.selectedIcons.clear();
+            this._refreshSelection();
+            this._setValueInput(this._serializedValue(), {force: true});
 
             this._emit('clear');
         }
     }
 
+    /**
+     * Select icon(s) by value (`mdi mdi-home`) or name (`home`). In `multiple` mode an array or a
+     * serialized string is accepted. Before the icons are loaded the value is queued.
+     * @param {?string|string[]} value `null` or `''` clears the selection
+     * @param {{silent?: boolean}} options `silent` skips the `select` (or `clear`) event
+     * @returns {IconPicker}
+     */
+    setValue(value, {silent = false} = {}) {
+        if (this.iconsLoading) {
+            this._pendingValue = {value, silent};
+            return this;
+        }
+
+        this._applyValue(value, {silent});
+        this._setValueInput(this._serializedValue(), {force: true, notify: !silent});
+
+        return this;
+    }
+
+    /**
+     * Selected value (`mdi mdi-home`), an array of values in `multiple` mode.
+     * While the icons load, the value queued by `setValue` is returned as given.
+     * @returns {?string|string[]}
+     */
+    getValue() {
+        if (this._pendingValue) {
+            return this._pendingValue.value;
+        }
+
+        const values = this._formattedValues();
+
+        return this.options.multiple ? values : (values[0] ?? null);
+    }
+
+    /**
+     * Full descriptor(s) `{name, value, svg, unicode}` of the selection
+     * @returns {?Object|Object[]}
+     */
+    getSelected() {
+        return this.emitValues ?? null;
+    }
+
+    /**
+     * Selected icon descriptor(s): an array in `multiple` mode, otherwise a single object
+     * @returns {Object|Object[]|undefined}
+     */
+    get emitValues() {
+        const values = Array.from(this.selectedIcons.values(), (icon) => this._describeIcon(icon));
+
+        return this.options.multiple ? values : values[0];
+    }
+
     /**
      * Check if modal is open
      * @returns {boolean}
@@ -182,18 +625,97 @@ export default class IconPicker {
      * @returns {boolean}
      */
     iconsLoaded(){
-        return !this.loadingState;
+        return !this.iconsLoading;
+    }
+
+    /**
+     * Add an icon source (a collection name or a source object) and load it, the other sources are kept as they are.
+     * A source with the key of an existing one replaces its configuration without reloading it.
+     * @param {string|Object} source
+     * @returns {Promise<IconPicker>} Resolved after `loaded` fired
+     */
+    addSource(source) {
+        const [key] = Object.keys(resolveCollection([source]));
+
+        if (!key) {
+            this._catchError('iconSourceUnknown', {source});
+        }
+
+        this.options.iconSource = [...this._sourcesWithout(key), source];
+
+        return this._queueRender().then(() => this);
+    }
+
+    /**
+     * Remove an icon source by key, its icons leave the grid and the selection
+     * @param {string} key
+     * @returns {Promise<IconPicker>} Resolved after `loaded` fired
+     */
+    removeSource(key) {
+        this.options.iconSource = this._sourcesWithout(key);
+        this._collections.delete(key);
+        this._loading.get(key)?.abort();
+
+        const removed = Array.from(this.selectedIcons.values()).filter(icon => icon.source === key);
+        if (removed.length > 0) {
+            removed.forEach(icon => this.selectedIcons.delete(icon.inputValue));
+            this._refreshSelection();
+            this._setValueInput(this._serializedValue(), {force: true});
+
+            this.selectedIcons.size > 0 ? this._emit('select', this.emitValues) : this._emit('clear');
+        }
+
+        return this._queueRender().then(() => this);
+    }
+
+    /**
+     * Load every icon source again, the selection is kept when its icons still exist
+     * @returns {Promise<IconPicker>} Resolved after `loaded` fired
+     */
+    reload() {
+        this._collections.clear();
+
+        if (!this._pendingValue && this.selectedIcons.size > 0) {
+            this._pendingValue = {value: this.getValue(), silent: true};
+        }
+
+        return this._queueRender().then(() => this);
+    }
+
+    /**
+     * Remove the collections stored by this instance's `cache` option
+     * @returns {Promise<boolean>}
+     */
+    clearCache() {
+        return clearCache(this._cacheOptions()?.name);
     }
 
     /**
-     * Destroy icon picker instance and detach all events listeners
+     * Destroy icon picker instance, detach all events listeners and remove the picker from the page
      * @param {boolean} deleteInstance
      */
     destroy(deleteInstance = true) {
         this.initialized = false;
+        this._loading.forEach(controller => controller.abort());
 
         // Remove elements events
         this._eventBindings.forEach(args => _.removeEvent(...args));
+        this._unbindPopover();
+        this._unbindFocusTrap();
+        this._unwatchColorScheme?.();
+        ['aria-haspopup', 'aria-controls', 'aria-expanded'].forEach(name => this.element?.removeAttribute(name));
+
+        // Restore the native `value` property patched by `_watchInputValue`
+        if (this.input) {
+            delete this.input.value;
+        }
+
+        if (this.input && this.input !== this.element) {
+            this.input.remove();
+        }
+
+        this.virtualIconGrid?.destroy();
+        this.root?.modal.remove();
 
         // Delete instance
         if (deleteInstance) {
@@ -226,186 +748,1237 @@ export default class IconPicker {
     }
 
     _createModal() {
-        document.body.appendChild(this.root.modal);
+        const {display, container} = this.options;
+
+        if (display === 'inline') {
+            (_.resolveElement(container) || this.element.parentElement).appendChild(this.root.modal);
+
+            // Embedded pickers are open from the start
+            this.root.modal.classList.add('is-visible');
+            // Once the constructor has returned, so listeners added with `on()` hear it
+            Promise.resolve().then(() => this.initialized && this._emit('show'));
+        } else {
+            document.body.appendChild(this.root.modal);
+        }
 
         this.initialized = true;
     }
 
-    _onSave() {
-        this._setValueInput()
+    /**
+     * Place the popover next to the trigger, flipping above / aligning right when it would leave the viewport
+     * @private
+     */
+    _positionPopover() {
+        const {modal} = this.root;
+        const margin = 8;
+        const trigger = this.element.getBoundingClientRect();
+        const width = modal.offsetWidth;
+        const height = modal.offsetHeight;
+        const spaceBelow = window.innerHeight - trigger.bottom - margin;
+        const spaceAbove = trigger.top - margin;
+
+        let top = trigger.bottom + margin;
+        // Aligned with the start edge of the trigger, the right one in RTL
+        let left = this.direction === 'rtl' ? trigger.right - width : trigger.left;
+        const placeAbove = height > spaceBelow && spaceAbove > spaceBelow;
+
+        if (placeAbove) {
+            top = trigger.top - margin - height;
+        }
 
-        this.hide();
-        this._emit('save', this.emitValues);
+        if (left + width > window.innerWidth - margin) {
+            left = trigger.right - width;
+        } else if (left < margin) {
+            left = trigger.left;
+        }
+
+        modal.style.top = `${Math.max(margin, top)}px`;
+        modal.style.left = `${Math.max(margin, Math.min(left, window.innerWidth - width - margin))}px`;
+        modal.dataset.placement = placeAbove ? 'top' : 'bottom';
     }
 
     /**
-     * Generate icons elements
+     * Follow the trigger while the popover is open and close it on outside clicks
      * @private
      */
-    async _renderdIcons() {
-        const {root, options} = this;
-        let previousSelectedIcon = null;
-        let currentlySelectElement = null;
-        let categories = null;
-        this.availableIcons = [];
-
-        root.content.innerHTML = `<div class="is-loading">${options.i18n['text:loading']}</div>`;
-
-        let icons = await this._getIcons();
-
-        icons.forEach((library) => {
-            let iconFormat = library.iconFormat ? library.iconFormat : 'svg';
-
-            for (const [key, value] of Object.entries(library.icons)) {
-                const iconTarget = document.createElement('button');
-                iconTarget.title = key
-                iconTarget.className = `icon-element ${key}`;
-                iconTarget.dataset.value = library.prefix + key;
-
-                if (library.categories && Object.entries(library.categories).length > 0) {
-                    categories = [];
-
-                    for (const [categoryKey] of Object.entries(library.categories)) {
-                        if (library.categories[categoryKey].includes(key)) {
-                            if (categories.length > 0) {
-                                categories.push(categoryKey.toLowerCase())
-                            } else {
-                                categories = [categoryKey.toLowerCase()]
-                            }
-                        }
-                    }
-                }
-
-                if (library.chars) {
-                    iconTarget.dataset.unicode = _.getKeyByValue(library.chars, key);
+    _bindPopover() {
+        const reposition = () => this._positionPopover();
+
+        this._positionPopover();
+        this._popoverBindings = [
+            _.addEvent(window, 'resize', reposition),
+            // Scrolling the icon list inside the popover doesn't move it
+            _.addEvent(document, 'scroll', (evt) => !this.root.modal.contains(evt.target) && reposition(), true),
+            _.addEvent(document, 'pointerdown', (evt) => {
+                if (!this.root.modal.contains(evt.target) && !this.element.contains(evt.target)) {
+                    this.hide();
                 }
+            }, true)
+        ];
+    }
 
-                let iconElement;
-                if (iconFormat === 'i' || !value.body) {
-                    iconElement = document.createElement('i');
-                    iconElement.setAttribute('class', iconTarget.dataset.value);
-                } else if (iconFormat === 'markup') {
-                    let t = document.createElement('template');
-                    t.innerHTML = value.body;
-                    iconElement = t.content;
-                } else {
-                    iconElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-                    iconElement.setAttribute('height', (this.options.iconSize).toString());
-                    iconElement.setAttribute('width', (this.options.iconSize).toString());
-                    iconElement.setAttribute('viewBox', `0 0 ${value.width ? value.width : library.width} ${value.height ? value.height : library.height}`);
-                    iconElement.innerHTML = value.body;
-                }
+    /**
+     * @private
+     */
+    _unbindPopover() {
+        (this._popoverBindings || []).forEach(args => _.removeEvent(...args));
+        this._popoverBindings = null;
+    }
 
-                this.availableIcons.push({inputValue: library.prefix + key, value: key, body: iconElement.outerHTML, ...(categories?.length > 0 && {categories}), onSelect: (evt) => {
-                    if (this.currentlySelectName !== evt.currentTarget.firstChild.className) {
-                        evt.currentTarget.classList.add('is-selected');
+    /**
+     * Apply the `theme` option: stylesheet, color scheme and the tokens of a theme object
+     * @private
+     */
+    _applyTheme() {
+        const {root, options} = this;
+        const {name, colorScheme, tokens, dark} = normalizeTheme(options.theme);
+        const {modal} = root;
 
-                        currentlySelectElement = evt.currentTarget;
-                        this.currentlySelectName = currentlySelectElement.dataset.value;
-                        this.SVGString = iconElement.outerHTML;
+        modal.dataset.theme = name;
+        themeClasses(root, name);
 
-                        this.emitValues = {
-                            name: key,
-                            value: this.currentlySelectName,
-                            svg: this.SVGString,
-                        }
+        // Only explicit schemes are set, `auto` is left to the stylesheet's media query
+        // (Bootstrap themes inherit the page's `data-bs-theme`)
+        delete modal.dataset.colorScheme;
+        delete modal.dataset.bsTheme;
+        if (colorScheme !== 'auto') {
+            modal.dataset.colorScheme = colorScheme;
 
-                        if (library.chars) {
-                            this.emitValues.unicode = iconElement.dataset.unicode
-                        }
+            if (name.includes('bootstrap')) {
+                modal.dataset.bsTheme = colorScheme;
+            }
+        }
 
-                        this._emit('select', this.emitValues);
-                    }
+        const activeTokens = {
+            tileSize: options.itemSize,
+            iconSize: options.iconSize,
+            ...tokens,
+            ...(isDarkScheme(colorScheme) && dark)
+        };
+        this._themeProperties = applyTokens(modal, activeTokens, this._themeProperties);
 
-                    if (previousSelectedIcon) {
-                        previousSelectedIcon.classList.remove('is-selected');
-                    }
+        this._tileSize = parseFloat(activeTokens.tileSize) || options.itemSize;
+        this._applyView();
 
-                    if (options.closeOnSelect) {
-                        this._onSave();
-                    }
+        // Dark tokens of a theme object follow the system setting
+        this._unwatchColorScheme?.();
+        this._unwatchColorScheme = colorScheme === 'auto' && Object.keys(dark).length > 0 ? watchColorScheme(() => this._applyTheme()) : null;
+    }
 
-                    previousSelectedIcon = currentlySelectElement;
-                }});
-            }
-        });
+    /**
+     * Lay the icons out for the `view` and `density` options
+     * @private
+     */
+    _applyView() {
+        const {root, options} = this;
+        const list = options.view === 'list';
+        const scale = DENSITIES[options.density] ?? 1;
+        const size = Math.round(this._tileSize * scale);
 
-        if (options.defaultValue || this.element.value) {
-            // Check if icon name ou icon value is set
-            let defaultValueElement = document.querySelector(`[data-value="${options.defaultValue ? options.defaultValue : this.element.value}"]`) ?
-                document.querySelector(`[data-value="${options.defaultValue ? options.defaultValue : this.element.value}"]`) :
-                document.querySelector(`.${options.defaultValue ? options.defaultValue : this.element.value}`);
+        root.modal.dataset.view = list ? 'list' : 'grid';
+        root.modal.dataset.density = options.density;
+        root.modal.style.setProperty('--icon-picker-density', String(scale));
 
-            let iconValue = defaultValueElement?.dataset.value ?? '';
-            defaultValueElement?.classList.add('is-selected');
+        if (root.views) {
+            this._updateFilterButtons(root.views, list ? 'list' : options.density);
+        }
 
-            previousSelectedIcon = defaultValueElement;
-            this.currentlySelectName = iconValue;
+        this.virtualIconGrid.setLayout({width: size, height: size, list});
+    }
 
-            if (!this.element.value) {
-                this._setValueInput();
-            }
+    /**
+     * Keep Tab and Shift+Tab cycling inside the modal
+     * @param {KeyboardEvent} evt
+     * @private
+     */
+    _trapFocus(evt) {
+        const {modal} = this.root;
+        const focusable = _.focusableElements(modal);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!first) {
+            evt.preventDefault();
+        } else if (evt.shiftKey && (active === first || active === modal)) {
+            evt.preventDefault();
+            last.focus();
+        } else if (!evt.shiftKey && active === last) {
+            evt.preventDefault();
+            first.focus();
         }
-        this.ensureVirtualMounted(); 
+    }
 
-        const loadingElement = root.content.querySelector('.is-loading');
-        if (loadingElement) {
-            loadingElement.remove();
-        }
+    /**
+     * Bring focus back into the modal when something moves it outside, e.g. a script focusing the page behind
+     * @private
+     */
+    _bindFocusTrap() {
+        const {modal, search} = this.root;
 
-        this.iconsLoading = false;
-        this._emit('loaded');
+        this._focusBindings = [
+            _.addEvent(document, 'focusin', (evt) => {
+                if (!modal.contains(evt.target)) {
+                    search.focus({preventScroll: true});
+                }
+            })
+        ];
     }
 
     /**
-     *
-     * @returns {string}
      * @private
      */
-    async _getIcons() {
-        const {options} = this
-        const iconsURL = [];
+    _unbindFocusTrap() {
+        (this._focusBindings || []).forEach(args => _.removeEvent(...args));
+        this._focusBindings = null;
+    }
 
-        let sourceInformation = resolveCollection(options.iconSource);
+    _onSave() {
+        this._setValueInput()
 
-        for (const source of Object.values(sourceInformation)) {
-            iconsURL.push(source.url)
+        if (this.options.display !== 'inline') {
+            this.hide();
         }
+        this._emit('save', this.emitValues);
+        this._addRecent(Array.from(this.selectedIcons.keys()));
+    }
 
-        return await Promise.all(iconsURL.map((iconURL) => fetch(iconURL).then((response) => response.json())))
-            .then((iconLibrary) => {
-                iconLibrary.forEach((library) => {
-                    if (sourceInformation.hasOwnProperty(library.prefix)) {
-                        library.prefix = sourceInformation[library.prefix].prefix
-                    }
-                });
+    /**
+     * Move the given icon values to the front of the recently used list
+     * @param {string[]} values
+     * @private
+     */
+    _addRecent(values) {
+        const {recentLimit} = this.options;
 
-                return iconLibrary;
-            });
+        if (!(recentLimit > 0) || values.length === 0) {
+            return;
+        }
+
+        this.recentIcons = [...values, ...this.recentIcons.filter(value => !values.includes(value))].slice(0, recentLimit);
+        this.storage.set('recent', this.recentIcons);
+        this._renderShortcuts();
     }
 
     /**
-     *
-     * @param {string} exception
+     * @param {Object} icon
      * @private
      */
-    _catchError(exception) {
-        switch (exception) {
-            case 'iconSourceMissing':
-                throw Error('No icon source was found.');
+    _toggleFavorite(icon) {
+        if (!this.favoriteIcons.delete(icon.inputValue)) {
+            this.favoriteIcons.add(icon.inputValue);
         }
+
+        this.storage.set('favorites', Array.from(this.favoriteIcons));
+        this.virtualIconGrid.refresh();
+        this._renderShortcuts();
     }
 
     /**
-     * Set value into input element
-     * @param value
+     * Render the favorites and recently used strips above the grid, each hidden while empty
+     * @private
+     */
+    _renderShortcuts() {
+        const {root, options} = this;
+        const sections = [
+            [root.favorites, options.favorites ? Array.from(this.favoriteIcons) : []],
+            [root.recent, options.recentLimit > 0 ? this.recentIcons : []]
+        ];
+
+        sections.forEach(([section, values]) => {
+            const chips = values
+                .map(value => this.availableIcons.find(icon => icon.inputValue === value))
+                .filter(Boolean)
+                .map(icon => this._createIconChip(icon, 'icon-picker-modal__shortcut'));
+
+            section.lastElementChild.replaceChildren(...chips);
+            section.hidden = chips.length === 0;
+        });
+    }
+
+    /**
+     * Small icon button used by the selection list and the shortcut strips
+     * @param {Object} icon
+     * @param {string} className
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createIconChip(icon, className) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `icon-picker-modal__chip ${className}`;
+        chip.title = this._iconName(icon);
+        chip.setAttribute('aria-label', chip.title);
+        this._setMarkup(chip, this._iconMarkup(icon));
+        chip.addEventListener('click', () => this._onSelect(icon));
+
+        return chip;
+    }
+
+    /**
+     * Toggle (multiple) or replace (single) the selection with the given icon
+     * @param {Object} icon
      * @private
      */
-    _setValueInput(value = this.currentlySelectName) {
-        const {element} = this;
+    _onSelect(icon) {
+        const {options, selectedIcons} = this;
+
+        if (options.multiple) {
+            if (selectedIcons.has(icon.inputValue)) {
+                selectedIcons.delete(icon.inputValue);
+            } else if (!this._selectionFull()) {
+                selectedIcons.set(icon.inputValue, icon);
+            } else {
+                return;
+            }
 
-        if (element instanceof HTMLInputElement && this.currentlySelectName) {
-            element.value = value;
+            this._refreshSelection();
+            this._emit('select', this.emitValues);
+            return;
         }
+
+        if (!selectedIcons.has(icon.inputValue)) {
+            selectedIcons.clear();
+            selectedIcons.set(icon.inputValue, icon);
+
+            this._refreshSelection();
+            this._emit('select', this.emitValues);
+        }
+
+        if (options.closeOnSelect) {
+            this._onSave();
+        }
+    }
+
+    /**
+     * Replace the selection with the icons matching the given value(s)
+     * @param {?string|string[]} value
+     * @param {{silent?: boolean}} options
+     * @private
+     */
+    _applyValue(value, {silent = false} = {}) {
+        const {options, selectedIcons} = this;
+        let values = [];
+
+        if (Array.isArray(value)) {
+            values = value;
+        } else if (value) {
+            values = options.multiple ? this._serializer().parse(String(value)) : [value];
+        }
+
+        const icons = values
+            .map(item => this._findIcon(item))
+            .filter(Boolean)
+            .slice(0, options.multiple ? (options.maxSelections > 0 ? options.maxSelections : undefined) : 1);
+
+        selectedIcons.clear();
+        icons.forEach(icon => selectedIcons.set(icon.inputValue, icon));
+        this._refreshSelection();
+
+        if (!silent) {
+            icons.length > 0 ? this._emit('select', this.emitValues) : this._emit('clear');
+        }
+    }
+
+    /**
+     * Keep the selection in sync when the bound input's value is changed from outside,
+     * by typing or by assigning `input.value` (frameworks, async form loading)
+     * @private
+     */
+    _watchInputValue() {
+        const {input} = this;
+
+        if (!input) {
+            return;
+        }
+
+        const picker = this;
+        const descriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value');
+
+        Object.defineProperty(input, 'value', {
+            configurable: true,
+            get() {
+                return descriptor.get.call(this);
+            },
+            set(value) {
+                descriptor.set.call(this, value);
+
+                if (!picker._writingValue) {
+                    picker._syncFromInput();
+                }
+            }
+        });
+
+        this._eventBindings.push(_.addEvent(input, 'change', () => !this._writingValue && this._syncFromInput()));
+    }
+
+    /**
+     * Input holding the value: the trigger itself, or a hidden one created for `name`
+     * when the trigger is a button. It stays focusable so the browser can point at it
+     * when `required` fails.
+     * @returns {?HTMLInputElement}
+     * @private
+     */
+    _createValueInput() {
+        const {element, options} = this;
+
+        if (element instanceof HTMLInputElement) {
+            if (options.name && !element.name) {
+                element.name = options.name;
+            }
+
+            return element;
+        }
+
+        if (!options.name) {
+            return null;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = options.name;
+        input.className = 'icon-picker-value';
+        input.tabIndex = -1;
+        input.setAttribute('aria-hidden', 'true');
+        element.insertAdjacentElement('afterend', input);
+
+        return input;
+    }
+
+    /**
+     * Restore the initial value when the surrounding form is reset
+     * @private
+     */
+    _bindForm() {
+        const form = this.input?.form;
+
+        if (!form) {
+            return;
+        }
+
+        this._eventBindings.push(_.addEvent(form, 'reset', () => {
+            // `reset` fires before the form restores its fields
+            setTimeout(() => {
+                if (this.initialized) {
+                    this.setValue(this.options.defaultValue || this.input.defaultValue || null, {silent: true});
+                }
+            });
+        }));
+    }
+
+    /**
+     * Report an empty selection through the Constraint Validation API when `required`
+     * @private
+     */
+    _updateValidity() {
+        const {input, options} = this;
+
+        if (!input || !(options.required || input.required)) {
+            return;
+        }
+
+        // Before the icons are loaded only the raw value is known
+        const empty = this.iconsLoading ? !input.value : this.selectedIcons.size === 0;
+
+        input.setCustomValidity(empty ? options.i18n['text:required'] : '');
+    }
+
+    /**
+     * @private
+     */
+    _syncFromInput() {
+        const {value} = this.input;
+
+        if (this.iconsLoading) {
+            this._pendingValue = {value, silent: true};
+            return;
+        }
+
+        if (value !== this._serializedValue()) {
+            this._applyValue(value, {silent: true});
+        }
+
+        this._updateValidity();
+    }
+
+    /**
+     * @returns {boolean}
+     * @private
+     */
+    _selectionFull() {
+        const {multiple, maxSelections} = this.options;
+
+        return multiple && maxSelections > 0 && this.selectedIcons.size >= maxSelections;
+    }
+
+    /**
+     * Repaint the grid tiles and the ordered selection list after the selection changed
+     * @private
+     */
+    _refreshSelection() {
+        this.virtualIconGrid.refresh();
+        this._renderPreview();
+
+        if (this.selectedIcons.size > 0) {
+            this._renderDetails(Array.from(this.selectedIcons.values()).pop());
+        }
+
+        if (!this.root.selection) {
+            return;
+        }
+
+        const chips = Array.from(this.selectedIcons.values(), (icon, index) => {
+            const chip = this._createIconChip(icon, 'icon-picker-modal__selection-item');
+            chip.dataset.order = index + 1;
+
+            return chip;
+        });
+
+        this.root.selection.replaceChildren(...chips);
+    }
+
+    /**
+     * Choices of the customization panel when it's opened, `null` without the `customize` option
+     * @returns {?Object}
+     * @private
+     */
+    _initialCustomization() {
+        const {customize, iconSize} = this.options;
+
+        if (!customize) {
+            return null;
+        }
+
+        return {...DEFAULT_CUSTOMIZATION, size: iconSize, ...(customize === true ? {} : customize)};
+    }
+
+    /**
+     * @private
+     */
+    _syncCustomizeControls() {
+        const {root, customization} = this;
+
+        // A color input can't be empty, `currentColor` stays until a color is picked
+        root.customColor.value = customization.color || '#000000';
+        root.customSize.value = customization.size ?? '';
+        root.customRotate.value = String(customization.rotate);
+        root.customHFlip.checked = customization.hFlip;
+        root.customVFlip.checked = customization.vFlip;
+    }
+
+    /**
+     * @param {Event} evt
+     * @private
+     */
+    _onCustomize(evt) {
+        const {root, customization} = this;
+        const size = parseInt(root.customSize.value, 10);
+
+        if (evt?.target === root.customColor || root.customColor.value !== '#000000') {
+            customization.color = root.customColor.value;
+        }
+
+        customization.size = size > 0 ? size : null;
+        customization.rotate = parseInt(root.customRotate.value, 10) || 0;
+        customization.hFlip = root.customHFlip.checked;
+        customization.vFlip = root.customVFlip.checked;
+
+        this._renderPreview();
+    }
+
+    /**
+     * Live preview of the last selected icon with the current customization
+     * @private
+     */
+    _renderPreview() {
+        const {root, customization} = this;
+
+        if (!root.preview) {
+            return;
+        }
+
+        const icon = Array.from(this.selectedIcons.values()).pop();
+        this._setMarkup(root.preview, icon ? customizeIcon(this._iconMarkup(icon), customization) : '');
+    }
+
+    /**
+     * Show an icon in the detail pane
+     * @param {Object} icon
+     * @private
+     */
+    _renderDetails(icon) {
+        const {root, options: {i18n}} = this;
+
+        if (!root.details) {
+            return;
+        }
+
+        this._detailIcon = icon;
+
+        const rows = [
+            [i18n['text:name'], this._iconName(icon)],
+            [i18n['text:class'], icon.inputValue],
+            [i18n['text:library'], this._libraryName(icon.source)],
+            [i18n['text:categories'], (icon.categories || []).join(', ')],
+            [i18n['text:unicode'], icon.unicode ? `U+${icon.unicode.toUpperCase()}` : '']
+        ];
+
+        this._setMarkup(root.detailsPreview, this._iconMarkup(icon));
+        root.detailsList.replaceChildren(...rows.filter(([, description]) => description).flatMap(([term, description]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = description;
+
+            return [dt, dd];
+        }));
+
+        root.copyClass.disabled = false;
+        root.copySvg.disabled = !/^\s*<svg\b/i.test(this._iconMarkup(icon));
+        root.copyUnicode.disabled = !icon.unicode;
+    }
+
+    /**
+     * Copy to the clipboard and confirm it on the button for a moment
+     * @param {HTMLButtonElement} button
+     * @param {string} text
+     * @private
+     */
+    async _copy(button, text) {
+        if (!(await _.copyText(text)) || !this.initialized) {
+            return;
+        }
+
+        this._copyTimers = this._copyTimers || new Map();
+        button.dataset.label = button.dataset.label || button.textContent;
+        button.textContent = this.options.i18n['text:copied'];
+
+        clearTimeout(this._copyTimers.get(button));
+        this._copyTimers.set(button, setTimeout(() => {
+            button.textContent = button.dataset.label;
+        }, 1500));
+    }
+
+    /**
+     * Build the category navigation from the loaded icons, hidden when no library ships categories
+     * @private
+     */
+    _renderCategories() {
+        const {root, options} = this;
+        const icons = this.activeLibrary ? this.availableIcons.filter(icon => icon.source === this.activeLibrary) : this.availableIcons;
+        const counts = new Map();
+
+        icons.forEach((icon) => {
+            (icon.categories || []).forEach(category => counts.set(category, (counts.get(category) || 0) + 1));
+        });
+
+        if (counts.size === 0) {
+            root.categories.hidden = true;
+            this._setCategory(null);
+            return;
+        }
+
+        const entries = [[null, options.i18n['btn:allCategories'], icons.length], ...Array.from(counts, ([category, count]) => [category, category, count])];
+        const buttons = entries.map(([category, label, count]) => {
+            return this._createFilterButton('icon-picker-modal__category', label, count, category, () => this._setCategory(category));
+        });
+
+        root.categories.replaceChildren(...buttons);
+        root.categories.hidden = false;
+        this._setCategory(counts.has(this.activeCategory) ? this.activeCategory : null);
+    }
+
+    /**
+     * Restrict the grid to one category, `null` shows every icon
+     * @param {?string} category
+     * @private
+     */
+    _setCategory(category) {
+        this.activeCategory = category;
+        this.virtualIconGrid.setFilter('category', category ? icon => icon.categories?.includes(category) : null);
+
+        this._updateFilterButtons(this.root.categories, category);
+    }
+
+    /**
+     * Build the library switcher, only shown when more than one collection is loaded
+     * @private
+     */
+    _renderLibraries() {
+        const {root, options, libraries} = this;
+
+        if (libraries.length < 2) {
+            root.libraries.hidden = true;
+            this._setLibrary(null);
+            return;
+        }
+
+        const counts = new Map();
+        this.availableIcons.forEach(icon => counts.set(icon.source, (counts.get(icon.source) || 0) + 1));
+
+        const entries = [[null, options.i18n['btn:allLibraries'], this.availableIcons.length], ...libraries.map(({key, name}) => [key, name, counts.get(key) || 0])];
+        const buttons = entries.map(([key, label, count]) => {
+            return this._createFilterButton('icon-picker-modal__library', label, count, key, () => this._setLibrary(key));
+        });
+
+        root.libraries.replaceChildren(...buttons);
+        root.libraries.hidden = false;
+        this._setLibrary(libraries.some(({key}) => key === this.activeLibrary) ? this.activeLibrary : null);
+    }
+
+    /**
+     * Stored key of the remembered library, kept per picker: by the element id, else by the sources it shows
+     * @returns {string}
+     * @private
+     */
+    _libraryStorageKey() {
+        const id = this.element?.id || Object.keys(resolveCollection(this.options.iconSource)).sort().join(',');
+
+        return `library:${id}`;
+    }
+
+    /**
+     * Restrict the grid to one icon source, `null` shows every library
+     * @param {?string} key
+     * @private
+     */
+    _setLibrary(key) {
+        this.activeLibrary = key;
+        this.virtualIconGrid.setFilter('library', key ? icon => icon.source === key : null);
+        this._updateFilterButtons(this.root.libraries, key);
+
+        if (this.options.rememberLibrary) {
+            this.storage.set(this._libraryStorageKey(), key);
+        }
+
+        // Categories only count the icons of the visible library
+        this._renderCategories();
+    }
+
+    /**
+     * Section of an icon for the `groupBy` option
+     * @param {Object} icon
+     * @param {{score?: number, query: string}} context `score` is set while searching
+     * @returns {?string}
+     * @private
+     */
+    _sectionKey(icon, {score, query}) {
+        const {groupBy} = this.options;
+
+        if (groupBy === 'library') {
+            return icon.source;
+        }
+
+        if (groupBy === 'category') {
+            // Icons in several categories go to the one being filtered by
+            return icon.categories?.includes(this.activeCategory) ? this.activeCategory : (icon.categories?.[0] ?? null);
+        }
+
+        if (groupBy === 'relevance') {
+            // One section without a search
+            return score === undefined ? null : relevanceBucket(score, query);
+        }
+
+        return groupBy(icon, {score, query});
+    }
+
+    /**
+     * Header of a `groupBy` section: its name and number of icons
+     * @param {{key: string, count: number}} section
+     * @returns {HTMLElement}
+     * @private
+     */
+    _renderSectionHeader({key, count}) {
+        const {groupBy, i18n, locale} = this.options;
+        const header = document.createElement('div');
+        const name = document.createElement('span');
+        const counter = document.createElement('span');
+
+        header.className = 'icon-picker-modal__section';
+        counter.className = 'icon-picker-modal__section-count';
+
+        if (groupBy === 'library') {
+            name.textContent = this._libraryName(key);
+        } else if (groupBy === 'relevance') {
+            name.textContent = i18n[`text:${key}Matches`];
+        } else {
+            name.textContent = key;
+        }
+        counter.textContent = new Intl.NumberFormat(locale || undefined).format(count);
+        header.append(name, counter);
+
+        return header;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string}
+     * @private
+     */
+    _libraryName(key) {
+        return this.libraries.find(library => library.key === key)?.name ?? key;
+    }
+
+    /**
+     * Pill button used by the library and category navigation
+     * @param {string} className
+     * @param {string} label
+     * @param {number} count
+     * @param {?string} value
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createFilterButton(className, label, count, value, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `icon-picker-modal__filter ${className}`;
+        btn.dataset.filter = value ?? '';
+        const name = document.createElement('span');
+        const counter = document.createElement('span');
+        name.textContent = label;
+        counter.className = 'icon-picker-modal__filter-count';
+        counter.textContent = new Intl.NumberFormat(this.options.locale || undefined).format(count);
+        btn.append(name, counter);
+        btn.addEventListener('click', onClick);
+
+        return btn;
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {?string} value
+     * @private
+     */
+    _updateFilterButtons(container, value) {
+        Array.from(container.children).forEach((btn) => {
+            const isActive = btn.dataset.filter === (value ?? '');
+            btn.setAttribute('aria-pressed', String(isActive));
+            btn.classList.toggle('is-active', isActive);
+        });
+    }
+
+    /**
+     * @param {string} key Key of `i18n`
+     * @param {Object} params Values of the `{placeholders}`, `count` also picks the plural form
+     * @returns {string}
+     * @private
+     */
+    _t(key, params = {}) {
+        return translate(this.options.i18n[key], params, this.options.locale);
+    }
+
+    /**
+     * Layout direction, `auto` follows the locale and then the `dir` around the bound element
+     * @returns {'ltr'|'rtl'}
+     * @private
+     */
+    _resolveDirection() {
+        const {direction, locale} = this.options;
+
+        if (direction === 'ltr' || direction === 'rtl') {
+            return direction;
+        }
+
+        if (locale) {
+            return isRtlLocale(locale) ? 'rtl' : 'ltr';
+        }
+
+        const dir = (this.element?.closest('[dir]') || document.documentElement).getAttribute('dir');
+
+        return dir === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Name shown in tooltips and aria-labels, see the `nameFormatter` option
+     * @param {Object} icon
+     * @returns {string}
+     * @private
+     */
+    _iconName(icon) {
+        const {nameFormatter, locale} = this.options;
+
+        return nameFormatter ? String(nameFormatter(icon.value, {value: icon.inputValue, source: icon.source, locale})) : icon.value;
+    }
+
+    /**
+     * @param {number} count Icons matching the search and filters
+     * @private
+     */
+    _renderResultCount(count) {
+        // The loading message stays until the icons are in the grid
+        if (!this.iconsLoading) {
+            this.root.results.textContent = this._t('text:results', {count});
+        }
+    }
+
+    /**
+     * Markup of an icon as it goes into the DOM, sanitized once per icon
+     * @param {Object} icon
+     * @returns {string}
+     * @private
+     */
+    _iconMarkup(icon) {
+        const body = icon.body ?? '';
+
+        if (!this._sanitizer) {
+            return body;
+        }
+
+        if (!this._safeBodies.has(icon)) {
+            this._safeBodies.set(icon, this._sanitizer(body));
+        }
+
+        return this._safeBodies.get(icon);
+    }
+
+    /**
+     * @param {Element} element
+     * @param {string} markup Output of `_iconMarkup`
+     * @private
+     */
+    _setMarkup(element, markup) {
+        if (this._sanitizer) {
+            setMarkup(element, markup);
+        } else {
+            element.innerHTML = markup;
+        }
+    }
+
+    /**
+     * Public shape of an icon, as emitted with `select` and `save`
+     * @param {Object} icon
+     * @param {boolean} withPayloadFormats Add the `payloadFormats`
+     * @returns {{name: string, value: string, id: string, svg: string, unicode?: string}}
+     * @private
+     */
+    _describeIcon(icon, withPayloadFormats = true) {
+        const {customization} = this;
+        const iconifyPrefix = this.libraries.find(library => library.key === icon.source)?.iconifyPrefix ?? icon.source;
+        const description = {
+            name: icon.value,
+            value: icon.inputValue,
+            id: `${iconifyPrefix}:${icon.value}`,
+            svg: customization ? customizeIcon(this._iconMarkup(icon), customization) : this._iconMarkup(icon),
+            ...(icon.unicode && {unicode: icon.unicode}),
+            ...(customization && {customization: {...customization}})
+        };
+
+        if (withPayloadFormats) {
+            this.options.payloadFormats.forEach(format => (description[format] = formatIcon(description, format)));
+        }
+
+        return description;
+    }
+
+    /**
+     * Find an icon by its value (`mdi mdi-home`), its name (`home`), its Iconify id (`mdi:home`),
+     * or any other `valueFormat`
+     * @param {string|Object} reference
+     * @returns {Object|undefined}
+     * @private
+     */
+    _findIcon(reference) {
+        const {availableIcons} = this;
+        const {value, svg} = parseIconReference(reference);
+
+        if (svg) {
+            return availableIcons.find(icon => icon.body === svg || this._iconMarkup(icon) === svg);
+        }
+
+        const found = availableIcons.find(icon => icon.inputValue === value) ??
+            availableIcons.find(icon => icon.value === value);
+
+        if (found || !value.includes(':')) {
+            return found;
+        }
+
+        const [prefix, name] = value.split(':');
+        const keys = this.libraries.filter(library => library.iconifyPrefix === prefix).map(library => library.key);
+
+        return availableIcons.find(icon => icon.value === name && keys.includes(icon.source));
+    }
+
+    /**
+     * @returns {{serialize: Function, parse: Function}}
+     * @private
+     */
+    _serializer() {
+        const {valueSerializer} = this.options;
+
+        return typeof valueSerializer === 'string' ? IconPicker.SERIALIZERS[valueSerializer] : valueSerializer;
+    }
+
+    /**
+     * Generate icons elements
+     * @private
+     */
+    async _renderdIcons() {
+        const {root, options} = this;
+
+        this.iconsLoading = true;
+        root.error.hidden = true;
+        root.results.textContent = options.i18n['text:loading'];
+
+        // Once mounted the grid owns the content element
+        if (!this.virtualIconGrid._mounted) {
+            const loading = document.createElement('div');
+            loading.className = 'is-loading';
+            loading.textContent = options.i18n['text:loading'];
+            root.content.replaceChildren(loading);
+        }
+
+        const {sources, loaded, failed} = await this._getIcons();
+
+        if (loaded.length > 0) {
+            try {
+                const result = await processCollectionsAsync({libraries: loaded, iconSize: options.iconSize}, options.worker);
+                const {icons, libraries} = result;
+                const iconsBySource = new Map(libraries.map(library => [library.key, []]));
+
+                icons.forEach(icon => iconsBySource.get(icon.source).push(icon));
+                libraries.forEach(library => this._collections.set(library.key, {library, icons: iconsBySource.get(library.key)}));
+
+                // Unparsable collections (e.g. an HTML error page) fail on their own, the others are shown
+                (result.failed || []).forEach(({key, error}) => {
+                    failed.push({source: loaded.find(({source}) => source.key === key).source, reason: new Error(error)});
+                });
+            } catch (reason) {
+                // The processing itself broke down, nothing of the batch can be shown
+                loaded.forEach(({source}) => failed.push({source, reason}));
+            }
+        }
+
+        // Destroyed while loading
+        if (!this.initialized) {
+            return;
+        }
+
+        const collections = sources.map(source => this._collections.get(source.key)).filter(Boolean);
+        this.availableIcons = collections.flatMap(collection => collection.icons);
+        this.libraries = collections.map(collection => collection.library);
+
+        failed.forEach(({source, reason}) => this._catchError('iconSourceFailed', {source, reason}));
+        if (failed.length > 0) {
+            const names = failed.map(({source}) => source.name ?? source.key).join(', ');
+
+            root.error.firstElementChild.textContent = this._t('text:error', {sources: names});
+            root.error.hidden = false;
+        }
+
+        const initialValue = options.defaultValue || this.input?.value;
+        if (this._pendingValue) {
+            const {value, silent} = this._pendingValue;
+            this._pendingValue = null;
+
+            this._applyValue(value, {silent});
+            this._setValueInput(this._serializedValue(), {force: true, notify: !silent});
+        } else if (initialValue && this.selectedIcons.size === 0) {
+            // Any value format works, as well as the bare icon name
+            this._applyValue(initialValue, {silent: true});
+
+            if (!this.input?.value) {
+                this._setValueInput(undefined, {notify: false});
+            }
+        }
+        const [rememberedLibrary, recent, favorites] = await Promise.all([
+            options.rememberLibrary ? this.storage.get(this._libraryStorageKey()) : null,
+            this.storage.get('recent', []),
+            this.storage.get('favorites', [])
+        ]);
+
+        if (!this.initialized) {
+            return;
+        }
+
+        this.activeLibrary = this.activeLibrary ?? rememberedLibrary;
+        this.recentIcons = Array.isArray(recent) ? recent : [];
+        this.favoriteIcons = new Set(Array.isArray(favorites) ? favorites : []);
+
+        this._renderLibraries();
+        this._renderShortcuts();
+        this.ensureVirtualMounted(); 
+
+        const loadingElement = root.content.querySelector('.is-loading');
+        if (loadingElement) {
+            loadingElement.remove();
+        }
+
+        this.iconsLoading = false;
+        this._updateValidity();
+        this._emit('loaded');
+    }
+
+    /**
+     * Run `_renderdIcons` after the one in progress, so sources are never loaded twice
+     * @returns {Promise<void>}
+     * @private
+     */
+    _queueRender() {
+        const render = () => this.initialized && this._renderdIcons();
+
+        this._rendering = (this._rendering || Promise.resolve()).then(render, render);
+
+        return this._rendering;
+    }
+
+    /**
+     * `iconSource` entries that don't resolve to `key`
+     * @param {string} key
+     * @returns {Array<string|Object>}
+     * @private
+     */
+    _sourcesWithout(key) {
+        return this.options.iconSource.filter(source => Object.keys(resolveCollection([source]))[0] !== key);
+    }
+
+    /**
+     * Load the icon sources that are not processed yet, each one on its own so a failing source
+     * doesn't take the others down. Loaded collections may still be raw JSON text.
+     * @returns {Promise<{sources: Object[], loaded: Array<{source: Object, data: Object|string}>, failed: Array<{source: Object, reason: *}>}>}
+     * @private
+     */
+    async _getIcons() {
+        const {options} = this
+
+        const sources = Object.values(resolveCollection(options.iconSource));
+        const pending = sources.filter(source => !this._collections.has(source.key));
+        const cacheOptions = this._cacheOptions();
+        const fetcher = cacheOptions ?
+            createCachedFetcher(options.fetcher || defaultFetcher, cacheOptions) :
+            (options.fetcher || defaultFetcher);
+
+        const controllers = pending.map((source) => {
+            const controller = new AbortController();
+
+            this._loading.set(source.key, controller);
+            return controller;
+        });
+        const results = await Promise.allSettled(pending.map((source, index) => {
+            const controller = controllers[index];
+            const load = loadCollection(source, fetcher, controller.signal);
+
+            // A timed out download is stopped, so a retry doesn't run next to it
+            return _.withTimeout(load, options.timeout, `Icon source "${source.key}" timed out.`, error => controller.abort(error))
+                .finally(() => this._loading?.get(source.key) === controller && this._loading.delete(source.key));
+        }));
+
+        const loaded = [];
+        const failed = [];
+
+        results.forEach((result, index) => {
+            // Only plain data can be posted to the icon worker, loaders stay behind
+            const {key, name, prefix} = pending[index];
+
+            // Aborted without a reason by `removeSource()` or `destroy()`, nothing to report
+            if (controllers[index].signal.reason?.name === 'AbortError') {
+                return;
+            }
+
+            if (result.status === 'fulfilled') {
+                loaded.push({source: {key, name, prefix}, data: result.value});
+            } else {
+                failed.push({source: {key, name, prefix}, reason: result.reason});
+            }
+        });
+
+        return {sources, loaded, failed};
+    }
+
+    /**
+     * Normalized `cache` option, `null` when caching is off
+     * @returns {?{name: string, maxAge: number}}
+     * @private
+     */
+    _cacheOptions() {
+        const {cache} = this.options;
+
+        if (!cache) {
+            return null;
+        }
+
+        return {...DEFAULT_CACHE_OPTIONS, ...(cache === true ? {} : cache)};
+    }
+
+    /**
+     *
+     * @param {string} exception
+     * @param {Object} detail
+     * @private
+     */
+    _catchError(exception, detail = {}) {
+        switch (exception) {
+            case 'iconSourceMissing':
+                throw Error('No icon source was found.');
+            case 'valueFormatUnknown':
+                throw Error(`Unknown value format "${detail.format}".`);
+            case 'iconSourceUnknown':
+                throw Error(`Icon source "${detail.source?.key ?? detail.source}" is unknown.`);
+            case 'iconSourceFailed':
+                if (this._eventListener.error.length === 0) {
+                    console.error(`Icon source "${detail.source.key}" could not be loaded.`, detail.reason);
+                }
+
+                this._emit('error', detail);
+                break;
+            case 'iconSourceInvalid':
+                if (this._eventListener.error.length === 0) {
+                    console.error(`Icon sources "${detail.source}" could not be parsed.`, detail.reason);
+                }
+
+                this._emit('error', detail);
+                break;
+        }
+    }
+
+    /**
+     * Set value into input element and let form libraries know through native `input` / `change` events
+     * @param value
+     * @param {{force?: boolean, notify?: boolean}} options `force` also writes an empty selection,
+     * `notify: false` skips the native events
+     * @private
+     */
+    _setValueInput(value = this._serializedValue(), {force = false, notify = true} = {}) {
+        const {input} = this;
+
+        if (input && (force || this.selectedIcons.size > 0 || this.options.multiple)) {
+            const changed = input.value !== value;
+
+            // Our own writes (and the events they dispatch) must not trigger the outside-change sync
+            this._writingValue = true;
+            input.value = value;
+
+            if (changed && notify) {
+                input.dispatchEvent(new Event('input', {bubbles: true}));
+                input.dispatchEvent(new Event('change', {bubbles: true}));
+            }
+            this._writingValue = false;
+        }
+
+        this._updateValidity();
+    }
+
+    /**
+     * Selected values in the `valueFormat`
+     * @returns {string[]}
+     * @private
+     */
+    _formattedValues() {
+        const {valueFormat} = this.options;
+
+        return Array.from(this.selectedIcons.values(), (icon) => {
+            return valueFormat === 'class' ? icon.inputValue : (formatIcon(this._describeIcon(icon, false), valueFormat) ?? '');
+        });
+    }
+
+    /**
+     * Selected value(s) as written into the bound input
+     * @returns {string}
+     * @private
+     */
+    _serializedValue() {
+        const values = this._formattedValues();
+
+        return this.options.multiple ? this._serializer().serialize(values) : (values[0] ?? '');
     }
 }
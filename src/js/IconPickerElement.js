@@ -0,0 +1,378 @@
+import IconPicker from "./IconPicker";
+import { resolveCollection } from "./utlis/collections";
+
+// Attributes mapped onto IconPicker options, changing them rebuilds the picker (`sources`, `theme`, `view` and `density`
+// update it in place)
+const OPTION_ATTRIBUTES = ['sources', 'theme', 'view', 'density', 'group-by', 'display', 'locale', 'close-on-select', 'multiple', 'required'];
+
+/**
+ * `<icon-picker>` custom element built around IconPicker, form-associated through ElementInternals
+ *
+ *     <icon-picker name="icon" sources="Iconoir, Material Design Icons" value="home"></icon-picker>
+ */
+export default class IconPickerElement extends HTMLElement {
+    static formAssociated = true;
+    static IconPicker = IconPicker;
+
+    static get observedAttributes() {
+        return [...OPTION_ATTRIBUTES, 'value'];
+    }
+
+    picker = null;
+    _options = {};
+
+    constructor() {
+        super();
+
+        this._internals = this.attachInternals ? this.attachInternals() : null;
+        this._trigger = document.createElement('button');
+        this._trigger.type = 'button';
+        this._trigger.className = 'icon-picker-element__trigger';
+    }
+
+    /**
+     * Options that can't be given as attributes (`fetcher`, `i18n`, `storage`…), attributes take precedence
+     * @returns {Object}
+     */
+    get options() {
+        return this._options;
+    }
+
+    set options(options) {
+        this._options = options || {};
+        this._scheduleBuild();
+    }
+
+    /**
+     * @returns {?string|string[]}
+     */
+    get value() {
+        if (this.picker) {
+            return this.picker.getValue();
+        }
+
+        return this._detachedValue !== undefined ? this._detachedValue : this.getAttribute('value');
+    }
+
+    set value(value) {
+        if (this.picker) {
+            this.picker.setValue(value, {silent: true});
+            this._update();
+            return;
+        }
+
+        this._detachedValue = undefined;
+        if (value == null) {
+            this.removeAttribute('value');
+        } else {
+            this.setAttribute('value', value);
+        }
+    }
+
+    get form() {
+        return this._internals?.form ?? null;
+    }
+
+    get name() {
+        return this.getAttribute('name');
+    }
+
+    get validity() {
+        return this._internals?.validity;
+    }
+
+    get validationMessage() {
+        return this._internals?.validationMessage ?? '';
+    }
+
+    checkValidity() {
+        return this._internals ? this._internals.checkValidity() : true;
+    }
+
+    reportValidity() {
+        return this._internals ? this._internals.reportValidity() : true;
+    }
+
+    connectedCallback() {
+        if (!this._trigger.isConnected) {
+            this.appendChild(this._trigger);
+        }
+
+        if (!this.picker) {
+            this._build();
+        }
+    }
+
+    disconnectedCallback() {
+        this._buildQueued = false;
+
+        if (this.picker) {
+            // Moving the element around disconnects it, the selection comes back with the next picker
+            this._detachedValue = this.picker.getValue();
+            this.picker.destroy();
+            this.picker = null;
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (name === 'value') {
+            this._detachedValue = undefined;
+        }
+
+        if (oldValue === value) {
+            return;
+        }
+
+        // Without a picker (no sources yet) any option can be the one that makes it buildable
+        if (!this.picker) {
+            if (name !== 'value') {
+                this._scheduleBuild();
+            }
+            return;
+        }
+
+        if (name === 'value') {
+            this.picker.setValue(value || null, {silent: true});
+            this._update();
+        } else if (name === 'sources' && value && !this._buildQueued) {
+            // An invalid value keeps the current sources
+            this._updateSources(this._sources() ?? this.picker.options.iconSource);
+        } else if (name === 'theme' && !this._buildQueued) {
+            this.picker.setTheme(value || this._options.theme || IconPicker.DEFAULT_OPTIONS.theme);
+        } else if ((name === 'view' || name === 'density') && !this._buildQueued) {
+            const {view, density} = {...IconPicker.DEFAULT_OPTIONS, ...this._options, ...this._attributeOptions()};
+            this.picker.setView(view, density);
+        } else {
+            this._scheduleBuild();
+        }
+    }
+
+    formResetCallback() {
+        this.picker?.setValue(this.getAttribute('value') || null, {silent: true});
+        this._update();
+    }
+
+    formStateRestoreCallback(state) {
+        this.picker?.setValue(state instanceof FormData ? state.getAll(this.name) : state, {silent: true});
+        this._update();
+    }
+
+    formDisabledCallback(disabled) {
+        this._trigger.disabled = disabled;
+    }
+
+    /**
+     * Rebuild once after several attributes changed in the same task
+     * @private
+     */
+    _scheduleBuild() {
+        if (!this.isConnected || this._buildQueued) {
+            return;
+        }
+
+        this._buildQueued = true;
+        queueMicrotask(() => {
+            if (this._buildQueued) {
+                this._buildQueued = false;
+                this._build();
+            }
+        });
+    }
+
+    /**
+     * Create the picker from the attributes, replacing the current one and keeping its value
+     * @private
+     */
+    _build() {
+        const value = this.value;
+        const options = {...this._options, ...this._attributeOptions()};
+
+        this._buildQueued = false;
+        this._detachedValue = undefined;
+
+        if (this.picker) {
+            this.picker.destroy();
+            this.picker = null;
+        }
+
+        // Nothing to pick from yet, setting `sources` or `options` later builds the picker
+        if ([].concat(options.iconSource ?? []).length === 0) {
+            this._detachedValue = value;
+            this._update();
+            return;
+        }
+
+        let picker;
+
+        try {
+            picker = new IconPicker(this._trigger, options);
+        } catch (e) {
+            // Back to the placeholder, the value waits for a picker that can be built
+            this._detachedValue = value;
+            this._update();
+            throw e;
+        }
+
+        ['select', 'save'].forEach((event) => {
+            picker.on(event, detail => this.dispatchEvent(new CustomEvent(event, {detail, bubbles: true})));
+        });
+        ['save', 'clear'].forEach((event) => {
+            picker.on(event, () => {
+                this._update();
+                this.dispatchEvent(new Event('change', {bubbles: true}));
+            });
+        });
+        picker.on('loaded', () => this._update());
+
+        this.picker = picker;
+
+        if (value) {
+            picker.setValue(value, {silent: true});
+        }
+        this._update();
+    }
+
+    /**
+     * Load added sources and drop removed ones, the sources kept are not fetched again
+     * @param {Array<string|Object>} sources
+     * @private
+     */
+    _updateSources(sources) {
+        const {picker} = this;
+        const keyOf = source => Object.keys(resolveCollection([source]))[0];
+        const keys = sources.map(keyOf);
+        const currentKeys = picker.options.iconSource.map(keyOf);
+
+        currentKeys.filter(key => !keys.includes(key)).forEach(key => picker.removeSource(key));
+        sources.filter(source => !currentKeys.includes(keyOf(source))).forEach(source => picker.addSource(source));
+    }
+
+    /**
+     * The `sources` attribute parsed, a value that doesn't parse is reported once and the last valid sources are kept
+     * @returns {?Array<string|Object>}
+     * @private
+     */
+    _sources() {
+        const value = this.getAttribute('sources');
+
+        if (!value) {
+            this._sourcesValue = null;
+            this._parsedSources = null;
+            return null;
+        }
+
+        if (value !== this._sourcesValue) {
+            this._sourcesValue = value;
+
+            try {
+                this._parsedSources = parseSources(value);
+            } catch (reason) {
+                if (this.picker) {
+                    this.picker._catchError('iconSourceInvalid', {source: value, reason});
+                } else {
+                    console.error(`Icon sources "${value}" could not be parsed.`, reason);
+                }
+            }
+        }
+
+        return this._parsedSources ?? null;
+    }
+
+    /**
+     * @returns {Object}
+     * @private
+     */
+    _attributeOptions() {
+        const options = {};
+        const sources = this._sources();
+
+        if (sources) {
+            options.iconSource = sources;
+        }
+
+        ['theme', 'view', 'density', 'display', 'locale'].forEach((name) => {
+            if (this.hasAttribute(name)) {
+                options[name] = this.getAttribute(name);
+            }
+        });
+
+        if (this.hasAttribute('group-by')) {
+            options.groupBy = this.getAttribute('group-by') || null;
+        }
+
+        [['close-on-select', 'closeOnSelect'], ['multiple', 'multiple'], ['required', 'required']].forEach(([name, option]) => {
+            if (this.hasAttribute(name)) {
+                options[option] = this.getAttribute(name) !== 'false';
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Reflect the selection into the form value, the validity state and the trigger
+     * @private
+     */
+    _update() {
+        const {picker, _internals: internals, _trigger: trigger} = this;
+
+        if (!picker) {
+            trigger.textContent = this.getAttribute('placeholder') || {...IconPicker.DEFAULT_OPTIONS.i18n, ...this._options.i18n}['text:title'];
+            return;
+        }
+
+        const {i18n, multiple, required} = picker.options;
+        const value = picker.getValue();
+        const values = [].concat(value ?? []);
+        const selected = [].concat(picker.getSelected() ?? []);
+
+        if (internals) {
+            if (multiple && this.name) {
+                const data = new FormData();
+                values.forEach(item => data.append(this.name, item));
+                internals.setFormValue(data);
+            } else {
+                internals.setFormValue(values.length > 0 ? String(values[0]) : null);
+            }
+
+            if (required && values.length === 0) {
+                internals.setValidity({valueMissing: true}, i18n['text:required'], trigger);
+            } else {
+                internals.setValidity({});
+            }
+        }
+
+        trigger.title = values.join(', ');
+        trigger.setAttribute('aria-label', selected.length > 0 ? `${i18n['text:title']}: ${trigger.title}` : i18n['text:title']);
+
+        if (selected.length > 0) {
+            // `svg` went through the picker's sanitizer
+            trigger.replaceChildren(...selected.map((icon) => {
+                const span = document.createElement('span');
+                span.className = 'icon-picker-element__icon';
+                picker._setMarkup(span, icon.svg);
+
+                return span;
+            }));
+        } else {
+            trigger.textContent = this.getAttribute('placeholder') || i18n['text:title'];
+        }
+    }
+}
+
+/**
+ * `sources` attribute: a JSON array, or comma separated collection names
+ * @param {string} value
+ * @returns {Array<string|Object>}
+ */
+function parseSources(value) {
+    if (value.trim().startsWith('[')) {
+        return JSON.parse(value);
+    }
+
+    return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('icon-picker')) {
+    customElements.define('icon-picker', IconPickerElement);
+}
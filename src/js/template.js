@@ -1,27 +1,117 @@
 import {stringToHTML} from "./utlis/utils";
+import {normalizeTheme} from "./utlis/theme";
+
+// Ids referenced by ARIA attributes must be unique per picker
+let instances = 0;
+
+// Squares per side of the grid density icons
+const GRID_ICONS = {compact: 4, comfortable: 3, large: 2};
+
+/**
+ * Icon of a view toggle button
+ * @param {string} view A density or `list`
+ * @returns {string}
+ */
+function viewIcon(view) {
+    const shapes = [];
+
+    if (view === 'list') {
+        [2, 7, 12].forEach(y => shapes.push(`<rect x="1" y="${y}" width="3" height="3"/>`, `<rect x="6" y="${y + 1}" width="9" height="1.5"/>`));
+    } else {
+        const count = GRID_ICONS[view];
+        const cell = 15 / count;
+
+        for (let i = 0; i < count * count; i++) {
+            shapes.push(`<rect x="${1 + (i % count) * cell}" y="${1 + Math.floor(i / count) * cell}" width="${cell - 1.5}" height="${cell - 1.5}"/>`);
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">${shapes.join('')}</svg>`;
+}
 
 export default options => {
-    const {theme, i18n, closeOnSelect} = options;
+    const {theme, i18n, closeOnSelect, multiple, display, customize, details, viewToggle} = options;
+    const id = `icon-picker-${++instances}`;
+    const themeName = normalizeTheme(theme).name;
+    const hasTitle = typeof i18n['text:title'] === 'string' && i18n['text:title'] !== '';
+    const label = hasTitle ? `aria-labelledby="${id}-title"` : `aria-label="${i18n['input:placeholder']}"`;
 
     const modalElement = getHTMLElements(`
-        <div class="icon-picker-modal" tabindex="-1" data-theme="${theme}" data-element="modal" aria-modal="true" aria-labelledby="Icon picker modal" role="dialog">
+        <div class="icon-picker-modal" id="${id}" tabindex="-1" data-theme="${themeName}" data-display="${display}" data-element="modal" ${display === 'modal' ? 'aria-modal="true"' : ''} ${label} role="${display === 'inline' ? 'group' : 'dialog'}">
             <div class="icon-picker-modal__dialog">
                 <div class="icon-picker-modal__header" data-element="header">
-                    ${typeof i18n['text:title'] === 'string' && i18n['text:title'] !== '' ? `<h2>${i18n['text:title']}</h2>` : ''}
+                    ${hasTitle ? `<h2 id="${id}-title">${i18n['text:title']}</h2>` : ''}
                     
-                    <button class="icon-picker-modal--close" aria-label="Close" data-interaction="close">
+                    <button class="icon-picker-modal--close" aria-label="${i18n['btn:close']}" data-interaction="close">
                         <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" stroke-width="1.5">
                           <path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" d="M6.758 17.243 12.001 12m5.243-5.243L12 12m0 0L6.758 6.757M12.001 12l5.243 5.243"/>
                         </svg>
                     </button>
                 </div>
                 
-                <input placeholder="${i18n['input:placeholder']}" class="icon-picker-modal__search" aria-label="${i18n['input:placeholder']}" data-interaction="search">
+                <input placeholder="${i18n['input:placeholder']}" class="icon-picker-modal__search" aria-label="${i18n['input:placeholder']}" aria-controls="${id}-grid" data-interaction="search">
+                <div class="icon-picker-modal__toolbar">
+                    <div class="icon-picker-modal__results" id="${id}-results" data-element="results" role="status" aria-live="polite" aria-atomic="true">${i18n['text:loading']}</div>
+                    ${viewToggle ? `
+                        <div class="icon-picker-modal__views" data-element="views" role="group" aria-label="${i18n['text:view']}">
+                            ${[['compact', 'btn:viewCompact'], ['comfortable', 'btn:viewComfortable'], ['large', 'btn:viewLarge'], ['list', 'btn:viewList']].map(([view, key]) => `
+                                <button type="button" class="icon-picker-modal__view" data-filter="${view}" title="${i18n[key]}" aria-label="${i18n[key]}">${viewIcon(view)}</button>
+                            `).join('')}
+                        </div>` : ''}
+                </div>
                 
+                <div class="icon-picker-modal__shortcuts">
+                    <div class="icon-picker-modal__shortcuts-section" data-element="favorites" hidden>
+                        <span class="icon-picker-modal__shortcuts-title">${i18n['text:favorites']}</span>
+                        <div class="icon-picker-modal__shortcuts-list" role="group" aria-label="${i18n['text:favorites']}"></div>
+                    </div>
+                    <div class="icon-picker-modal__shortcuts-section" data-element="recent" hidden>
+                        <span class="icon-picker-modal__shortcuts-title">${i18n['text:recent']}</span>
+                        <div class="icon-picker-modal__shortcuts-list" role="group" aria-label="${i18n['text:recent']}"></div>
+                    </div>
+                </div>
+
+                <div class="icon-picker-modal__libraries" data-element="libraries" role="group" aria-label="${i18n['text:libraries']}" hidden></div>
+
+                <div class="icon-picker-modal__categories" data-element="categories" role="group" aria-label="${i18n['text:categories']}" hidden></div>
+
+                <div class="icon-picker-modal__error" data-element="error" role="alert" hidden>
+                    <span class="icon-picker-modal__error-message"></span>
+                    <button type="button" class="icon-picker-modal__retry" data-interaction="retry">${i18n['btn:retry']}</button>
+                </div>
+
+                ${details ? `<div class="icon-picker-modal__body">` : ''}
                 <div class="icon-picker-modal__content" data-element="content"></div>
+                ${details ? `
+                    <aside class="icon-picker-modal__details" data-element="details" aria-label="${i18n['text:details']}">
+                        <div class="icon-picker-modal__details-preview" data-element="detailsPreview" aria-hidden="true"></div>
+                        <dl class="icon-picker-modal__details-list" data-element="detailsList"></dl>
+                        <div class="icon-picker-modal__details-actions">
+                            <button type="button" data-interaction="copyClass" disabled>${i18n['btn:copyClass']}</button>
+                            <button type="button" data-interaction="copySvg" disabled>${i18n['btn:copySvg']}</button>
+                            <button type="button" data-interaction="copyUnicode" disabled>${i18n['btn:copyUnicode']}</button>
+                        </div>
+                    </aside>
+                </div>` : ''}
             
                 ${!closeOnSelect ? `
                     <div class="icon-picker-modal__footer" data-element="footer">
+                        ${multiple ? `<div class="icon-picker-modal__selection" data-element="selection" aria-label="${i18n['text:selection']}"></div>` : ''}
+                        ${customize ? `
+                            <fieldset class="icon-picker-modal__customize" data-element="customize">
+                                <legend>${i18n['text:customize']}</legend>
+                                <span class="icon-picker-modal__preview" data-element="preview" aria-hidden="true"></span>
+                                <label>${i18n['text:color']} <input type="color" name="color" data-interaction="customColor"></label>
+                                <label>${i18n['text:size']} <input type="number" name="size" min="8" max="512" data-interaction="customSize"></label>
+                                <label>${i18n['text:rotate']}
+                                    <select name="rotate" data-interaction="customRotate">
+                                        ${[0, 90, 180, 270].map(angle => `<option value="${angle}">${angle}°</option>`).join('')}
+                                    </select>
+                                </label>
+                                <label><input type="checkbox" name="hFlip" data-interaction="customHFlip"> ${i18n['btn:flipHorizontal']}</label>
+                                <label><input type="checkbox" name="vFlip" data-interaction="customVFlip"> ${i18n['btn:flipVertical']}</label>
+                                <button type="button" class="icon-picker-modal__customize-reset" data-interaction="customReset">${i18n['btn:reset']}</button>
+                            </fieldset>` : ''}
                         <button type="button" class="picker-save" data-interaction="save">${i18n['btn:save']}</button>
                     </div>` : ''
     }
@@ -29,14 +119,29 @@ export default options => {
         </div>
     `);
 
-    if (theme.includes('bootstrap')) {
-        modalElement.save?.classList.add('btn', 'btn-primary');
-        modalElement.search.classList.add('form-control');
-    }
+    themeClasses(modalElement, themeName);
 
     return modalElement;
 }
 
+/**
+ * Add the classes a theme expects on the controls, or remove them when switching to another theme
+ * @param {Object} modalElement Elements returned by the template
+ * @param {string} themeName
+ */
+export function themeClasses(modalElement, themeName) {
+    const bootstrap = themeName.includes('bootstrap');
+    const toggle = (element, ...classes) => classes.forEach(className => element?.classList.toggle(className, bootstrap));
+
+    toggle(modalElement.save, 'btn', 'btn-primary');
+    toggle(modalElement.search, 'form-control');
+    toggle(modalElement.customColor, 'form-control', 'form-control-color');
+    toggle(modalElement.customSize, 'form-control');
+    toggle(modalElement.customRotate, 'form-select');
+    toggle(modalElement.customReset, 'btn', 'btn-outline-secondary');
+    [modalElement.copyClass, modalElement.copySvg, modalElement.copyUnicode].forEach(button => toggle(button, 'btn', 'btn-sm', 'btn-outline-secondary'));
+}
+
 
 function getHTMLElements(str) {
     const removeAttribute = (el, name) => {
@@ -0,0 +1,131 @@
+/*
+  Persistent collection cache
+  ---------------------------
+  Stores fetched Iconify JSON with the Cache API so later page loads skip the download.
+  The JSON is kept as text on the way in and out, parsing is left to the icon worker.
+  - Entries younger than `maxAge` are used without any request
+  - Older entries are revalidated with `If-None-Match` (ETag); a 304 keeps the stored copy
+  - Falls back to the stored copy when revalidation fails (offline)
+*/
+
+const CACHED_AT_HEADER = 'x-icon-picker-cached-at';
+
+export const DEFAULT_CACHE_OPTIONS = {
+    name: 'icon-picker-collections',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // ms
+};
+
+/**
+ * @param {string} name
+ * @returns {Promise<?Cache>}
+ */
+async function openCache(name) {
+    try {
+        return 'caches' in window ? await window.caches.open(name) : null;
+    } catch (e) {
+        // Cache API is missing outside secure contexts
+        return null;
+    }
+}
+
+/**
+ * @param {Cache} cache
+ * @param {string} url
+ * @param {string} text Raw JSON
+ * @param {?string} etag
+ * @returns {Promise<void>}
+ */
+function store(cache, url, text, etag) {
+    const headers = {'content-type': 'application/json', [CACHED_AT_HEADER]: String(Date.now())};
+
+    if (etag) {
+        headers.etag = etag;
+    }
+
+    return cache.put(url, new Response(text, {headers})).catch(() => {
+        // Quota exceeded, the collection is still returned
+    });
+}
+
+/**
+ * Wrap a fetcher so `url` collections are read from and written to the cache
+ * @param {function(string, Object, RequestInit=): Promise<Response|Object>} fetcher
+ * @param {{name?: string, maxAge?: number}} options
+ * @returns {function(string, Object, RequestInit=): Promise<Object|string>} Resolves to the raw JSON text, or to the object a custom
+ * fetcher returned
+ */
+export function createCachedFetcher(fetcher, options = {}) {
+    const {name, maxAge} = {...DEFAULT_CACHE_OPTIONS, ...options};
+
+    return async (url, source, init = {}) => {
+        const cache = await openCache(name);
+
+        if (!cache) {
+            return fetcher(url, source, init);
+        }
+
+        const cached = await cache.match(url);
+        const cachedAt = Number(cached?.headers.get(CACHED_AT_HEADER)) || 0;
+
+        if (cached && Date.now() - cachedAt < maxAge) {
+            // Raw text, parsed by the icon worker
+            return cached.text();
+        }
+
+        const etag = cached?.headers.get('etag');
+        const cachedText = cached ? await cached.text() : null;
+        let response;
+
+        try {
+            response = await fetcher(url, source, etag ? {...init, headers: {...init.headers, 'If-None-Match': etag}} : init);
+        } catch (e) {
+            // Offline, an aborted load is not wanted anymore
+            if (cachedText !== null && !init.signal?.aborted) {
+                return cachedText;
+            }
+            throw e;
+        }
+
+        const isResponse = response && typeof response.json === 'function';
+
+        if (isResponse && response.status === 304 && cachedText !== null) {
+            await store(cache, url, cachedText, etag);
+            return cachedText;
+        }
+
+        if (isResponse && !response.ok) {
+            if (cachedText !== null) {
+                return cachedText;
+            }
+            throw new Error(`Icon source "${source.key}" responded with ${response.status}.`);
+        }
+
+        if (isResponse || typeof response === 'string') {
+            const text = isResponse ? await response.text() : response;
+
+            // Not parsed here, but an HTML error page is obviously no collection and isn't kept
+            if (/^\s*{/.test(text)) {
+                await store(cache, url, text, isResponse ? response.headers.get('etag') : etag);
+            }
+            return text;
+        }
+
+        // A custom fetcher that parsed the collection itself, only the stored copy needs the text
+        await store(cache, url, JSON.stringify(response), etag);
+
+        return response;
+    };
+}
+
+/**
+ * Remove every cached collection
+ * @param {string} name Cache name
+ * @returns {Promise<boolean>}
+ */
+export async function clearCache(name = DEFAULT_CACHE_OPTIONS.name) {
+    try {
+        return 'caches' in window ? await window.caches.delete(name) : false;
+    } catch (e) {
+        return false;
+    }
+}
@@ -1,5 +1,9 @@
 const iconifyPath = 'https://raw.githubusercontent.com/iconify/icon-sets/master/json';
 
+/**
+ * Named collections. Besides `url`, an entry can provide its Iconify JSON inline (`data`)
+ * or through an async `load()` such as `() => import('@iconify/json/json/mdi.json')`.
+ */
 export const collections = {
     'Material Design Icons': {
         key: 'mdi',
@@ -39,9 +43,11 @@ export function resolveCollection(collectionsOptions) {
     if (Array.isArray(collectionsOptions)) {
         collectionsOptions.forEach((collection) => {
             if (hasCollection(collection)) {
-                collectionResolved[collections[collection].key] = collections[collection]
+                collectionResolved[collections[collection].key] = {name: collection, ...collections[collection]}
             } else if (collection.key) {
                 collectionResolved[collection.key] = collection
+            } else if (collection.data?.prefix) {
+                collectionResolved[collection.data.prefix] = {key: collection.data.prefix, ...collection}
             }
         })
     }
@@ -49,6 +55,15 @@ export function resolveCollection(collectionsOptions) {
     return collectionResolved;
 }
 
+/**
+ * Add or replace a named collection, e.g. to serve a built-in one from a bundled module
+ * @param {string} name
+ * @param {{key: string, prefix: string, url?: string, data?: Object, load?: Function}} collection
+ */
+export function registerCollection(name, collection) {
+    collections[name] = {...collections[name], ...collection};
+}
+
 /**
  *
  * @param {string} collection
@@ -0,0 +1,79 @@
+/*
+  Icon customization
+  ------------------
+  Applies the choices of the customization panel (color, size, rotation, flips) to the markup of an icon.
+  SVG icons get real transforms and a new viewBox, font / markup icons get inline styles.
+*/
+
+import { transformBody } from "./processCollections";
+
+const SVG_PATTERN = /^\s*<svg\b([^>]*)>([\s\S]*)<\/svg>\s*$/i;
+const SIZE_ATTRIBUTES = /\s(?:width|height|viewBox)="[^"]*"/g;
+
+export const DEFAULT_CUSTOMIZATION = {
+    color: null,
+    size: null,
+    rotate: 0, // degrees, quarter turns only
+    hFlip: false,
+    vFlip: false
+};
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanValue(value) {
+    return String(value).replace(/["<>]/g, '');
+}
+
+/**
+ * @param {string} markup Icon markup, an `<svg>` or e.g. `<i class="…"></i>`
+ * @param {{color?: ?string, size?: ?number, rotate?: number, hFlip?: boolean, vFlip?: boolean}} customization
+ * @returns {string}
+ */
+export function customizeIcon(markup, customization = {}) {
+    const {color, size, rotate, hFlip, vFlip} = {...DEFAULT_CUSTOMIZATION, ...customization};
+    const svg = markup.match(SVG_PATTERN);
+    const viewBox = svg?.[1].match(/viewBox="([^"]*)"/)?.[1].trim().split(/[\s,]+/).map(Number);
+
+    if (!svg || !viewBox || viewBox.length !== 4 || viewBox.some(isNaN)) {
+        return styleMarkup(markup, {color, size, rotate, hFlip, vFlip});
+    }
+
+    const [left, top, width, height] = viewBox;
+    const {body, box} = transformBody(svg[2], {left, top, width, height}, {rotate: Math.round(rotate / 90), hFlip, vFlip});
+    const attributes = svg[1].replace(SIZE_ATTRIBUTES, '');
+    const sizeAttributes = size ?
+        ` width="${size}" height="${size}"` :
+        (svg[1].match(/\s(?:width|height)="[^"]*"/g) || []).join('');
+
+    return `<svg${attributes}${sizeAttributes} viewBox="${box.left} ${box.top} ${box.width} ${box.height}"${color ? ` color="${cleanValue(color)}"` : ''}>${body}</svg>`;
+}
+
+/**
+ * Customize non-SVG markup (font icons) with an inline style on its first element
+ * @param {string} markup
+ * @param {Object} customization
+ * @returns {string}
+ */
+function styleMarkup(markup, {color, size, rotate, hFlip, vFlip}) {
+    const styles = [];
+
+    if (color) {
+        styles.push(`color: ${cleanValue(color)}`);
+    }
+
+    if (size) {
+        styles.push(`font-size: ${Number(size)}px`);
+    }
+
+    if (rotate || hFlip || vFlip) {
+        styles.push(`transform: rotate(${Number(rotate) || 0}deg) scale(${hFlip ? -1 : 1}, ${vFlip ? -1 : 1})`);
+    }
+
+    if (styles.length === 0) {
+        return markup;
+    }
+
+    return markup.replace(/^(\s*<[a-z][\w-]*)/i, `$1 style="${styles.join('; ')}"`);
+}
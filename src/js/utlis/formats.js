@@ -0,0 +1,139 @@
+/*
+  Value formats
+  -------------
+  The forms an icon can be stored in (`valueFormat`) or emitted with (`payloadFormats`), and the way back:
+  every format can be read again by `parseIconReference`, SVG based formats carry the Iconify id in `data-icon`.
+*/
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SVG_DATA_URI = /^data:image\/svg\+xml(;base64)?,/i;
+
+/**
+ * Turn icon markup into a standalone SVG document, `null` for font / custom markup icons
+ * @param {string} svg
+ * @param {string} id Iconify id
+ * @returns {?string}
+ */
+function standaloneSvg(svg, id) {
+    if (!/^\s*<svg\b/i.test(svg)) {
+        return null;
+    }
+
+    let attributes = '';
+
+    if (!/^\s*<svg\b[^>]*\sxmlns=/i.test(svg)) {
+        attributes += ` xmlns="${SVG_NS}"`;
+    }
+
+    if (!/^\s*<svg\b[^>]*\sdata-icon=/i.test(svg)) {
+        attributes += ` data-icon="${String(id).replace(/"/g, '&quot;')}"`;
+    }
+
+    return svg.trim().replace(/^<svg\b/i, `<svg${attributes}`);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => (binary += String.fromCharCode(byte)));
+
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {string}
+ */
+function fromBase64(base64) {
+    return new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+}
+
+const svgOf = icon => standaloneSvg(icon.svg, icon.id);
+const dataUriOf = (icon) => {
+    const svg = svgOf(icon);
+    return svg && `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * Formatters by name, they receive an emitted icon `{id, name, value, svg, customization?}`
+ */
+export const FORMATS = {
+    class: icon => icon.value,
+    name: icon => icon.name,
+    iconify: icon => icon.id,
+    svg: svgOf,
+    dataUri: dataUriOf,
+    base64: (icon) => {
+        const svg = svgOf(icon);
+        return svg && `data:image/svg+xml;base64,${toBase64(svg)}`;
+    },
+    maskImage: (icon) => {
+        const dataUri = dataUriOf(icon);
+        return dataUri && `url("${dataUri}")`;
+    },
+    json: icon => JSON.stringify({
+        id: icon.id,
+        name: icon.name,
+        value: icon.value,
+        ...(icon.customization && {customization: icon.customization})
+    })
+};
+
+/**
+ * @param {Object} icon Emitted icon
+ * @param {string} format Key of `FORMATS`
+ * @returns {?string} `null` when the icon can't be given in that format (SVG formats of font icons)
+ */
+export function formatIcon(icon, format) {
+    if (!FORMATS[format]) {
+        throw Error(`Unknown value format "${format}".`);
+    }
+
+    return FORMATS[format](icon) ?? null;
+}
+
+/**
+ * Read a value in any of the `FORMATS` (or an emitted icon object) back into something to look the icon up with
+ * @param {string|Object} reference
+ * @returns {{value?: string, svg?: string}} A class, name or Iconify id as `value`, or SVG markup without `data-icon`
+ */
+export function parseIconReference(reference) {
+    if (reference && typeof reference === 'object') {
+        return {value: reference.id || reference.value || reference.name || ''};
+    }
+
+    const value = String(reference ?? '').trim();
+
+    if (value.startsWith('{')) {
+        try {
+            return parseIconReference(JSON.parse(value));
+        } catch (e) {
+            return {value};
+        }
+    }
+
+    if (/^url\(/i.test(value)) {
+        return parseIconReference(value.replace(/^url\(\s*["']?|["']?\s*\)$/gi, ''));
+    }
+
+    const dataUri = value.match(SVG_DATA_URI);
+    if (dataUri) {
+        const data = value.slice(dataUri[0].length);
+
+        try {
+            return parseIconReference(dataUri[1] ? fromBase64(data) : decodeURIComponent(data));
+        } catch (e) {
+            return {value};
+        }
+    }
+
+    if (value.startsWith('<')) {
+        const id = value.match(/^<svg\b[^>]*\sdata-icon="([^"]*)"/i)?.[1];
+        return id ? {value: id.replace(/&quot;/g, '"')} : {svg: value};
+    }
+
+    return {value};
+}
@@ -0,0 +1,400 @@
+/*
+  Locales
+  -------
+  Built-in translations selectable with the `locale` option. English is the default `i18n` of IconPicker,
+  a bundle only lists what it translates and the user's `i18n` is merged on top of it.
+
+  A message is either a string or, for counts, one string per plural category of the locale
+  (`zero`, `one`, `two`, `few`, `many`, `other`, see Intl.PluralRules). Placeholders are written `{name}`.
+*/
+
+export const LOCALES = {
+    ar: {
+        'input:placeholder': 'ابحث عن أيقونة…',
+        'text:title': 'اختر أيقونة',
+        'text:empty': 'لا توجد نتائج…',
+        'text:loading': 'جارٍ التحميل…',
+        'text:error': 'تعذر تحميل {sources}.',
+        'text:selection': 'الأيقونات المحددة',
+        'text:categories': 'الفئات',
+        'text:libraries': 'المكتبات',
+        'text:recent': 'المستخدمة مؤخرًا',
+        'text:favorites': 'المفضلة',
+        'text:required': 'يرجى اختيار أيقونة.',
+        'text:customize': 'تخصيص',
+        'text:color': 'اللون',
+        'text:size': 'الحجم',
+        'text:rotate': 'التدوير',
+        'text:details': 'تفاصيل الأيقونة',
+        'text:name': 'الاسم',
+        'text:class': 'الصنف',
+        'text:library': 'المكتبة',
+        'text:unicode': 'يونيكود',
+        'text:copied': 'تم النسخ',
+        'text:results': {
+            zero: 'لم يتم العثور على أيقونات',
+            one: 'تم العثور على أيقونة واحدة',
+            two: 'تم العثور على أيقونتين',
+            few: 'تم العثور على {count} أيقونات',
+            many: 'تم العثور على {count} أيقونة',
+            other: 'تم العثور على {count} أيقونة'
+        },
+        'text:view': 'العرض',
+        'text:bestMatches': 'أفضل النتائج',
+        'text:goodMatches': 'نتائج جيدة',
+        'text:relatedMatches': 'ذات صلة',
+        'btn:allCategories': 'الكل',
+        'btn:allLibraries': 'الكل',
+        'btn:favorite': 'إضافة إلى المفضلة أو إزالتها',
+        'btn:retry': 'إعادة المحاولة',
+        'btn:flipHorizontal': 'قلب أفقي',
+        'btn:flipVertical': 'قلب عمودي',
+        'btn:reset': 'إعادة تعيين',
+        'btn:copyClass': 'نسخ الصنف',
+        'btn:copySvg': 'نسخ SVG',
+        'btn:copyUnicode': 'نسخ يونيكود',
+        'btn:close': 'إغلاق',
+        'btn:viewCompact': 'شبكة مضغوطة',
+        'btn:viewComfortable': 'شبكة مريحة',
+        'btn:viewLarge': 'شبكة كبيرة',
+        'btn:viewList': 'قائمة',
+        'btn:save': 'حفظ'
+    },
+    de: {
+        'input:placeholder': 'Icon suchen…',
+        'text:title': 'Icon auswählen',
+        'text:empty': 'Keine Ergebnisse…',
+        'text:loading': 'Wird geladen…',
+        'text:error': '{sources} konnte nicht geladen werden.',
+        'text:selection': 'Ausgewählte Icons',
+        'text:categories': 'Kategorien',
+        'text:libraries': 'Bibliotheken',
+        'text:recent': 'Zuletzt verwendet',
+        'text:favorites': 'Favoriten',
+        'text:required': 'Bitte wähle ein Icon aus.',
+        'text:customize': 'Anpassen',
+        'text:color': 'Farbe',
+        'text:size': 'Größe',
+        'text:rotate': 'Drehung',
+        'text:details': 'Icon-Details',
+        'text:name': 'Name',
+        'text:class': 'Klasse',
+        'text:library': 'Bibliothek',
+        'text:unicode': 'Unicode',
+        'text:copied': 'Kopiert',
+        'text:results': {one: '{count} Icon gefunden', other: '{count} Icons gefunden'},
+        'text:view': 'Ansicht',
+        'text:bestMatches': 'Beste Treffer',
+        'text:goodMatches': 'Gute Treffer',
+        'text:relatedMatches': 'Verwandt',
+        'btn:allCategories': 'Alle',
+        'btn:allLibraries': 'Alle',
+        'btn:favorite': 'Favorit umschalten',
+        'btn:retry': 'Erneut versuchen',
+        'btn:flipHorizontal': 'Horizontal spiegeln',
+        'btn:flipVertical': 'Vertikal spiegeln',
+        'btn:reset': 'Zurücksetzen',
+        'btn:copyClass': 'Klasse kopieren',
+        'btn:copySvg': 'SVG kopieren',
+        'btn:copyUnicode': 'Unicode kopieren',
+        'btn:close': 'Schließen',
+        'btn:viewCompact': 'Kompaktes Raster',
+        'btn:viewComfortable': 'Normales Raster',
+        'btn:viewLarge': 'Großes Raster',
+        'btn:viewList': 'Liste',
+        'btn:save': 'Speichern'
+    },
+    es: {
+        'input:placeholder': 'Buscar icono…',
+        'text:title': 'Seleccionar icono',
+        'text:empty': 'No se encontraron resultados…',
+        'text:loading': 'Cargando…',
+        'text:error': 'No se pudo cargar {sources}.',
+        'text:selection': 'Iconos seleccionados',
+        'text:categories': 'Categorías',
+        'text:libraries': 'Bibliotecas',
+        'text:recent': 'Recientes',
+        'text:favorites': 'Favoritos',
+        'text:required': 'Selecciona un icono.',
+        'text:customize': 'Personalizar',
+        'text:color': 'Color',
+        'text:size': 'Tamaño',
+        'text:rotate': 'Rotación',
+        'text:details': 'Detalles del icono',
+        'text:name': 'Nombre',
+        'text:class': 'Clase',
+        'text:library': 'Biblioteca',
+        'text:unicode': 'Unicode',
+        'text:copied': 'Copiado',
+        'text:results': {one: '{count} icono encontrado', other: '{count} iconos encontrados'},
+        'text:view': 'Vista',
+        'text:bestMatches': 'Mejores resultados',
+        'text:goodMatches': 'Buenos resultados',
+        'text:relatedMatches': 'Relacionados',
+        'btn:allCategories': 'Todas',
+        'btn:allLibraries': 'Todas',
+        'btn:favorite': 'Marcar o desmarcar como favorito',
+        'btn:retry': 'Reintentar',
+        'btn:flipHorizontal': 'Voltear horizontalmente',
+        'btn:flipVertical': 'Voltear verticalmente',
+        'btn:reset': 'Restablecer',
+        'btn:copyClass': 'Copiar clase',
+        'btn:copySvg': 'Copiar SVG',
+        'btn:copyUnicode': 'Copiar unicode',
+        'btn:close': 'Cerrar',
+        'btn:viewCompact': 'Cuadrícula compacta',
+        'btn:viewComfortable': 'Cuadrícula cómoda',
+        'btn:viewLarge': 'Cuadrícula grande',
+        'btn:viewList': 'Lista',
+        'btn:save': 'Guardar'
+    },
+    fr: {
+        'input:placeholder': 'Rechercher une icône…',
+        'text:title': 'Choisir une icône',
+        'text:empty': 'Aucun résultat…',
+        'text:loading': 'Chargement…',
+        'text:error': 'Impossible de charger {sources}.',
+        'text:selection': 'Icônes sélectionnées',
+        'text:categories': 'Catégories',
+        'text:libraries': 'Bibliothèques',
+        'text:recent': 'Récentes',
+        'text:favorites': 'Favoris',
+        'text:required': 'Veuillez choisir une icône.',
+        'text:customize': 'Personnaliser',
+        'text:color': 'Couleur',
+        'text:size': 'Taille',
+        'text:rotate': 'Rotation',
+        'text:details': 'Détails de l’icône',
+        'text:name': 'Nom',
+        'text:class': 'Classe',
+        'text:library': 'Bibliothèque',
+        'text:unicode': 'Unicode',
+        'text:copied': 'Copié',
+        'text:results': {one: '{count} icône trouvée', other: '{count} icônes trouvées'},
+        'text:view': 'Affichage',
+        'text:bestMatches': 'Meilleurs résultats',
+        'text:goodMatches': 'Bons résultats',
+        'text:relatedMatches': 'Associés',
+        'btn:allCategories': 'Toutes',
+        'btn:allLibraries': 'Toutes',
+        'btn:favorite': 'Ajouter aux favoris ou retirer',
+        'btn:retry': 'Réessayer',
+        'btn:flipHorizontal': 'Retourner horizontalement',
+        'btn:flipVertical': 'Retourner verticalement',
+        'btn:reset': 'Réinitialiser',
+        'btn:copyClass': 'Copier la classe',
+        'btn:copySvg': 'Copier le SVG',
+        'btn:copyUnicode': 'Copier l’unicode',
+        'btn:close': 'Fermer',
+        'btn:viewCompact': 'Grille compacte',
+        'btn:viewComfortable': 'Grille confortable',
+        'btn:viewLarge': 'Grande grille',
+        'btn:viewList': 'Liste',
+        'btn:save': 'Enregistrer'
+    },
+    he: {
+        'input:placeholder': 'חיפוש סמל…',
+        'text:title': 'בחירת סמל',
+        'text:empty': 'לא נמצאו תוצאות…',
+        'text:loading': 'בטעינה…',
+        'text:error': 'לא ניתן לטעון את {sources}.',
+        'text:selection': 'סמלים שנבחרו',
+        'text:categories': 'קטגוריות',
+        'text:libraries': 'ספריות',
+        'text:recent': 'אחרונים',
+        'text:favorites': 'מועדפים',
+        'text:required': 'יש לבחור סמל.',
+        'text:customize': 'התאמה אישית',
+        'text:color': 'צבע',
+        'text:size': 'גודל',
+        'text:rotate': 'סיבוב',
+        'text:details': 'פרטי הסמל',
+        'text:name': 'שם',
+        'text:class': 'מחלקה',
+        'text:library': 'ספרייה',
+        'text:unicode': 'יוניקוד',
+        'text:copied': 'הועתק',
+        'text:results': {one: 'נמצא סמל אחד', two: 'נמצאו שני סמלים', other: 'נמצאו {count} סמלים'},
+        'text:view': 'תצוגה',
+        'text:bestMatches': 'ההתאמות הטובות ביותר',
+        'text:goodMatches': 'התאמות טובות',
+        'text:relatedMatches': 'קשורים',
+        'btn:allCategories': 'הכול',
+        'btn:allLibraries': 'הכול',
+        'btn:favorite': 'הוספה למועדפים או הסרה',
+        'btn:retry': 'ניסיון חוזר',
+        'btn:flipHorizontal': 'היפוך אופקי',
+        'btn:flipVertical': 'היפוך אנכי',
+        'btn:reset': 'איפוס',
+        'btn:copyClass': 'העתקת מחלקה',
+        'btn:copySvg': 'העתקת SVG',
+        'btn:copyUnicode': 'העתקת יוניקוד',
+        'btn:close': 'סגירה',
+        'btn:viewCompact': 'רשת צפופה',
+        'btn:viewComfortable': 'רשת מרווחת',
+        'btn:viewLarge': 'רשת גדולה',
+        'btn:viewList': 'רשימה',
+        'btn:save': 'שמירה'
+    },
+    it: {
+        'input:placeholder': 'Cerca icona…',
+        'text:title': 'Seleziona icona',
+        'text:empty': 'Nessun risultato…',
+        'text:loading': 'Caricamento…',
+        'text:error': 'Impossibile caricare {sources}.',
+        'text:selection': 'Icone selezionate',
+        'text:categories': 'Categorie',
+        'text:libraries': 'Librerie',
+        'text:recent': 'Recenti',
+        'text:favorites': 'Preferiti',
+        'text:required': 'Seleziona un’icona.',
+        'text:customize': 'Personalizza',
+        'text:color': 'Colore',
+        'text:size': 'Dimensione',
+        'text:rotate': 'Rotazione',
+        'text:details': 'Dettagli icona',
+        'text:name': 'Nome',
+        'text:class': 'Classe',
+        'text:library': 'Libreria',
+        'text:unicode': 'Unicode',
+        'text:copied': 'Copiato',
+        'text:results': {one: '{count} icona trovata', other: '{count} icone trovate'},
+        'text:view': 'Vista',
+        'text:bestMatches': 'Migliori risultati',
+        'text:goodMatches': 'Buoni risultati',
+        'text:relatedMatches': 'Correlati',
+        'btn:allCategories': 'Tutte',
+        'btn:allLibraries': 'Tutte',
+        'btn:favorite': 'Aggiungi o rimuovi dai preferiti',
+        'btn:retry': 'Riprova',
+        'btn:flipHorizontal': 'Capovolgi orizzontalmente',
+        'btn:flipVertical': 'Capovolgi verticalmente',
+        'btn:reset': 'Ripristina',
+        'btn:copyClass': 'Copia classe',
+        'btn:copySvg': 'Copia SVG',
+        'btn:copyUnicode': 'Copia unicode',
+        'btn:close': 'Chiudi',
+        'btn:viewCompact': 'Griglia compatta',
+        'btn:viewComfortable': 'Griglia comoda',
+        'btn:viewLarge': 'Griglia grande',
+        'btn:viewList': 'Elenco',
+        'btn:save': 'Salva'
+    },
+    pt: {
+        'input:placeholder': 'Pesquisar ícone…',
+        'text:title': 'Selecionar ícone',
+        'text:empty': 'Nenhum resultado encontrado…',
+        'text:loading': 'Carregando…',
+        'text:error': 'Não foi possível carregar {sources}.',
+        'text:selection': 'Ícones selecionados',
+        'text:categories': 'Categorias',
+        'text:libraries': 'Bibliotecas',
+        'text:recent': 'Recentes',
+        'text:favorites': 'Favoritos',
+        'text:required': 'Selecione um ícone.',
+        'text:customize': 'Personalizar',
+        'text:color': 'Cor',
+        'text:size': 'Tamanho',
+        'text:rotate': 'Rotação',
+        'text:details': 'Detalhes do ícone',
+        'text:name': 'Nome',
+        'text:class': 'Classe',
+        'text:library': 'Biblioteca',
+        'text:unicode': 'Unicode',
+        'text:copied': 'Copiado',
+        'text:results': {one: '{count} ícone encontrado', other: '{count} ícones encontrados'},
+        'text:view': 'Visualização',
+        'text:bestMatches': 'Melhores resultados',
+        'text:goodMatches': 'Bons resultados',
+        'text:relatedMatches': 'Relacionados',
+        'btn:allCategories': 'Todas',
+        'btn:allLibraries': 'Todas',
+        'btn:favorite': 'Marcar ou desmarcar como favorito',
+        'btn:retry': 'Tentar novamente',
+        'btn:flipHorizontal': 'Espelhar horizontalmente',
+        'btn:flipVertical': 'Espelhar verticalmente',
+        'btn:reset': 'Redefinir',
+        'btn:copyClass': 'Copiar classe',
+        'btn:copySvg': 'Copiar SVG',
+        'btn:copyUnicode': 'Copiar unicode',
+        'btn:close': 'Fechar',
+        'btn:viewCompact': 'Grade compacta',
+        'btn:viewComfortable': 'Grade confortável',
+        'btn:viewLarge': 'Grade grande',
+        'btn:viewList': 'Lista',
+        'btn:save': 'Salvar'
+    }
+};
+
+// Scripts written right to left
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'ug', 'yi', 'dv', 'ckb'];
+
+/**
+ * @param {?string} locale
+ * @returns {string} The language subtag, e.g. `pt` for `pt-BR`
+ */
+function language(locale) {
+    return String(locale || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Canonical BCP 47 tag of a locale, `pt_BR` becomes `pt-BR`
+ * @param {?string} locale
+ * @returns {?string} Null for tags `Intl` does not accept
+ */
+export function normalizeLocale(locale) {
+    if (!locale) {
+        return null;
+    }
+
+    try {
+        return Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'))[0];
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Bundle of a locale, falling back from `pt-BR` to `pt`
+ * @param {?string} locale
+ * @returns {Object} Empty for English and unknown locales
+ */
+export function localeMessages(locale) {
+    if (!locale) {
+        return {};
+    }
+
+    return LOCALES[locale] || LOCALES[language(locale)] || {};
+}
+
+/**
+ * @param {?string} locale
+ * @returns {boolean}
+ */
+export function isRtlLocale(locale) {
+    return RTL_LANGUAGES.includes(language(locale));
+}
+
+/**
+ * Fill a message, `count` picks the plural form and is formatted for the locale
+ * @param {string|Object<string, string>} message
+ * @param {Object} params
+ * @param {?string} locale
+ * @returns {string}
+ */
+export function translate(message, params = {}, locale = undefined) {
+    const values = {...params};
+    let text = message ?? '';
+
+    if (typeof params.count === 'number') {
+        const lang = locale || undefined;
+
+        if (typeof message === 'object') {
+            text = message[new Intl.PluralRules(lang).select(params.count)] ?? message.other ?? '';
+        }
+
+        values.count = new Intl.NumberFormat(lang).format(params.count);
+    }
+
+    return String(text).replace(/\{(\w+)}/g, (match, key) => (key in values ? values[key] : match));
+}
@@ -0,0 +1,15 @@
+/*
+  Icon worker
+  -----------
+  Parses and indexes collections off the main thread, see ./processCollections.js
+*/
+
+import { processCollections } from "./processCollections";
+
+self.onmessage = ({data}) => {
+    try {
+        self.postMessage({result: processCollections(data)});
+    } catch (e) {
+        self.postMessage({error: e.message});
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * Default fetcher, the response is parsed by `loadCollection`
+ * @param {string} url
+ * @param {Object} source
+ * @param {RequestInit} init Extra request options, e.g. revalidation headers from the cache
+ * @returns {Promise<Response>}
+ */
+export function defaultFetcher(url, source, init = {}) {
+    return fetch(url, init);
+}
+
+/**
+ * Get the Iconify JSON of a resolved icon source.
+ * A source provides its collection inline (`data`), through an async `load()` (e.g. a dynamic `import()`)
+ * or through a `url` requested with the `fetcher`.
+ * Fetched responses are returned as text so parsing can happen in the icon worker.
+ * @param {{key: string, url?: string, data?: Object, load?: Function}} source
+ * @param {function(string, Object, RequestInit=): Promise<Response|Object|string>} fetcher
+ * @param {?AbortSignal} signal Handed to the fetcher and to `load()`, aborted on timeout or when the source is removed
+ * @returns {Promise<Object|string>}
+ */
+export async function loadCollection(source, fetcher = defaultFetcher, signal = null) {
+    if (source.data) {
+        return source.data;
+    }
+
+    if (typeof source.load === 'function') {
+        const loaded = await source.load(source, {signal});
+
+        // `import('./mdi.json')` resolves to a module namespace
+        return loaded && loaded.default && !loaded.icons ? loaded.default : loaded;
+    }
+
+    if (source.url) {
+        const response = await fetcher(source.url, source, signal ? {signal} : {});
+
+        if (response && typeof response.json === 'function') {
+            if (response.ok === false) {
+                throw new Error(`Icon source "${source.key}" responded with ${response.status}.`);
+            }
+
+            return response.text();
+        }
+
+        return response;
+    }
+
+    throw new Error(`Icon source "${source.key}" has no url, data or load function.`);
+}
@@ -0,0 +1,310 @@
+/*
+  Collection processing
+  ---------------------
+  Turns loaded Iconify collections into the flat icon list used by the picker.
+  Pure data in, pure data out (no DOM), so it runs the same inside the icon worker
+  (./iconWorker.js) and on the main thread as a fallback.
+*/
+
+import { createSearchTerms } from "./search";
+
+// Iconify defaults for what neither the icon nor its collection sets
+const DEFAULT_ICON = {left: 0, top: 0, width: 16, height: 16, rotate: 0, hFlip: false, vFlip: false};
+
+// Same limit as Iconify, guards against alias loops
+const MAX_ALIAS_DEPTH = 36;
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Invert an Iconify `{group: [iconName, …]}` map into `{iconName: [group, …]}` in one pass
+ * @param {Object<string, string[]>} groups
+ * @returns {Object<string, string[]>}
+ */
+function invertGroups(groups = {}) {
+    const inverted = {};
+
+    Object.entries(groups).forEach(([group, names]) => {
+        (names || []).forEach(name => (inverted[name] = inverted[name] || []).push(group));
+    });
+
+    return inverted;
+}
+
+/**
+ * Full data of an icon or an alias, an alias overrides the dimensions of its parent
+ * and adds its own rotation and flips to the parent's
+ * @param {Object} library Iconify collection
+ * @param {string} name
+ * @param {Object} defaults `DEFAULT_ICON` with the collection's own dimensions
+ * @param {number} depth
+ * @returns {?Object} `null` when the alias chain is broken
+ */
+function resolveIconData(library, name, defaults, depth = 0) {
+    if (library.icons[name]) {
+        return {...defaults, ...library.icons[name]};
+    }
+
+    const alias = library.aliases?.[name];
+    if (!alias || depth > MAX_ALIAS_DEPTH) {
+        return null;
+    }
+
+    const parent = resolveIconData(library, alias.parent, defaults, depth + 1);
+    if (!parent) {
+        return null;
+    }
+
+    const {parent: parentName, rotate = 0, hFlip = false, vFlip = false, ...props} = alias;
+    // Only the alias' own `hidden` counts, a visible alias of a hidden icon is shown
+    const {hidden: parentHidden, ...parentData} = parent;
+
+    return {
+        ...parentData,
+        ...props,
+        rotate: (parent.rotate + rotate) % 4,
+        hFlip: parent.hFlip !== hFlip,
+        vFlip: parent.vFlip !== vFlip
+    };
+}
+
+/**
+ * Apply flips and rotation to an SVG body the way Iconify does
+ * @param {string} body
+ * @param {{left: number, top: number, width: number, height: number}} viewBox
+ * @param {{rotate?: number, hFlip?: boolean, vFlip?: boolean}} transformations `rotate` in quarter turns
+ * @returns {{body: string, box: {left: number, top: number, width: number, height: number}}} The box is the new viewBox
+ */
+export function transformBody(body, viewBox, {rotate = 0, hFlip = false, vFlip = false}) {
+    const box = {left: viewBox.left, top: viewBox.top, width: viewBox.width, height: viewBox.height};
+    const transforms = [];
+    let rotation = rotate;
+
+    if (hFlip && vFlip) {
+        // Flipping both ways is half a turn
+        rotation += 2;
+    } else if (hFlip) {
+        transforms.push(`translate(${box.width + box.left} ${-box.top})`, 'scale(-1 1)');
+        box.top = box.left = 0;
+    } else if (vFlip) {
+        transforms.push(`translate(${-box.left} ${box.height + box.top})`, 'scale(1 -1)');
+        box.top = box.left = 0;
+    }
+
+    rotation = ((rotation % 4) + 4) % 4;
+
+    if (rotation === 1) {
+        const center = box.height / 2 + box.top;
+        transforms.unshift(`rotate(90 ${center} ${center})`);
+    } else if (rotation === 2) {
+        transforms.unshift(`rotate(180 ${box.width / 2 + box.left} ${box.height / 2 + box.top})`);
+    } else if (rotation === 3) {
+        const center = box.width / 2 + box.left;
+        transforms.unshift(`rotate(-90 ${center} ${center})`);
+    }
+
+    // A quarter turn swaps the viewBox axes
+    if (rotation % 2 === 1) {
+        [box.left, box.top] = [box.top, box.left];
+        [box.width, box.height] = [box.height, box.width];
+    }
+
+    if (transforms.length > 0) {
+        body = `<g transform="${transforms.join(' ')}">${body}</g>`;
+    }
+
+    return {body, box};
+}
+
+/**
+ * Render resolved icon data to SVG
+ * @param {Object} data See `resolveIconData`
+ * @param {number} iconSize
+ * @returns {string}
+ */
+function iconToSvg(data, iconSize) {
+    const {body, box} = transformBody(data.body, data, data);
+
+    return `<svg height="${iconSize}" width="${iconSize}" viewBox="${box.left} ${box.top} ${box.width} ${box.height}">${body}</svg>`;
+}
+
+/**
+ * @param {{libraries: Array<{source: {key: string, name?: string, prefix?: string}, data: Object|string}>, iconSize: number}} payload
+ *        `data` may still be the raw JSON text of the collection
+ * @returns {{icons: Object[], libraries: Array<{key: string, name: string, iconifyPrefix: string}>, failed: Array<{key: string, error: string}>}}
+ *          A collection that can't be parsed or processed is left out and reported in `failed`, the others are kept
+ */
+export function processCollections({libraries, iconSize}) {
+    const icons = [];
+    const info = [];
+    const failed = [];
+
+    libraries.forEach(({source, data}) => {
+        const iconCount = icons.length;
+        const infoCount = info.length;
+
+        try {
+            processCollection(source, data, iconSize, icons, info);
+        } catch (e) {
+            // Drop what was added before the error, e.g. an HTML error page served instead of the JSON
+            icons.length = iconCount;
+            info.length = infoCount;
+            failed.push({key: source.key, error: e?.message || String(e)});
+        }
+    });
+
+    return {icons, libraries: info, failed};
+}
+
+/**
+ * Add the icons and the info of one collection
+ * @param {{key: string, name?: string, prefix?: string}} source
+ * @param {Object|string} data
+ * @param {number} iconSize
+ * @param {Object[]} icons
+ * @param {Object[]} info
+ */
+function processCollection(source, data, iconSize, icons, info) {
+    const library = typeof data === 'string' ? JSON.parse(data) : data;
+    const iconFormat = library.iconFormat ? library.iconFormat : 'svg';
+    const prefix = source.prefix || library.prefix;
+    const aliasesByIcon = {};
+    const unicodeByIcon = {};
+    const defaults = {...DEFAULT_ICON};
+
+    ['left', 'top', 'width', 'height'].forEach((prop) => {
+        if (library[prop] !== undefined) {
+            defaults[prop] = library[prop];
+        }
+    });
+
+    // Aliases are icons of their own, their names also find the parent icon
+    Object.entries(library.aliases || {}).forEach(([alias, {parent, hidden}]) => {
+        if (!hidden) {
+            (aliasesByIcon[parent] = aliasesByIcon[parent] || []).push(alias);
+        }
+    });
+    Object.entries(library.chars || {}).forEach(([unicode, name]) => {
+        if (!(name in unicodeByIcon)) {
+            unicodeByIcon[name] = unicode;
+        }
+    });
+
+    const categoriesByIcon = invertGroups(library.categories);
+    const tagsByIcon = invertGroups(library.tags);
+
+    info.push({key: source.key, name: source.name ?? library.info?.name ?? source.key, iconifyPrefix: library.prefix || source.key});
+
+    const names = [
+        ...Object.keys(library.icons),
+        ...Object.keys(library.aliases || {}).filter(name => !library.icons[name])
+    ];
+
+    for (const key of names) {
+        const value = resolveIconData(library, key, defaults);
+
+        if (!value || value.hidden) {
+            continue;
+        }
+
+        const inputValue = prefix + key;
+        const aliases = aliasesByIcon[key];
+        const tags = [...(value.tags || []), ...(tagsByIcon[key] || [])];
+        const categories = categoriesByIcon[key];
+        const unicode = unicodeByIcon[key];
+        let body;
+
+        if (iconFormat === 'i' || !value.body) {
+            body = `<i class="${escapeAttribute(inputValue)}"></i>`;
+        } else if (iconFormat === 'markup') {
+            body = value.body;
+        } else {
+            body = iconToSvg(value, iconSize);
+        }
+
+        const icon = {
+            inputValue,
+            value: key,
+            source: source.key,
+            body,
+            ...(unicode && {unicode}),
+            ...(aliases && {aliases}),
+            ...(tags.length > 0 && {tags}),
+            ...(categories && {categories})
+        };
+
+        icon.searchTerms = createSearchTerms(icon);
+        icons.push(icon);
+    }
+}
+
+// Captured while the bundle executes; the worker build sits next to it in dist/
+const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+let warnedMissingWorker = false;
+
+/**
+ * URL of the icon worker build
+ * @param {boolean|string|URL} worker `true` looks next to the picker script, a URL is used as is
+ * @returns {?string}
+ */
+function resolveWorkerUrl(worker) {
+    if (worker && worker !== true) {
+        return String(worker);
+    }
+
+    if (worker && SCRIPT_URL && /icon-picker(\.element)?(\.min)?\.js/.test(SCRIPT_URL)) {
+        return new URL('icon-picker.worker.js', SCRIPT_URL).href;
+    }
+
+    // ES modules have no `currentScript`, bundles need the worker URL given to them
+    if (worker && !warnedMissingWorker && typeof Worker !== 'undefined') {
+        warnedMissingWorker = true;
+        console.warn('Icon picker worker not found, collections are processed on the main thread. Pass its URL as the `worker` option, or `worker: false`.');
+    }
+
+    return null;
+}
+
+/**
+ * Run `processCollections` in a Web Worker, falling back to the main thread
+ * when no worker is available (no support, unknown URL, CSP) or it fails
+ * @param {Object} payload See `processCollections`
+ * @param {boolean|string|URL} worker See `resolveWorkerUrl`
+ * @returns {Promise<{icons: Object[], libraries: Array<{key: string, name: string}>, failed: Array<{key: string, error: string}>}>}
+ */
+export function processCollectionsAsync(payload, worker = true) {
+    const fallback = () => processCollections(payload);
+    const workerUrl = resolveWorkerUrl(worker);
+
+    if (!workerUrl || typeof Worker === 'undefined') {
+        return Promise.resolve().then(fallback);
+    }
+
+    return new Promise((resolve, reject) => {
+        let instance;
+
+        try {
+            instance = new Worker(workerUrl);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        instance.onmessage = ({data}) => {
+            instance.terminate();
+            data.error ? reject(new Error(data.error)) : resolve(data.result);
+        };
+        instance.onerror = (evt) => {
+            evt.preventDefault();
+            instance.terminate();
+            reject(evt);
+        };
+        instance.postMessage(payload);
+    }).catch(fallback);
+}
@@ -0,0 +1,176 @@
+/*
+  Markup sanitizing
+  -----------------
+  Icon bodies come from remote collections and end up in the DOM, so they go through an allowlist first:
+  only drawing elements and presentation attributes survive, event handlers, scripts, styles, foreign content
+  and non-local URLs are dropped.
+
+  Trusted Types: markup is parsed into an inert document through a private `icon-picker` policy and the
+  sanitized nodes are moved into the page, so no string ever reaches an HTML sink unchecked.
+*/
+
+export const POLICY_NAME = 'icon-picker';
+
+const ALLOWED_ELEMENTS = new Set([
+    // SVG
+    'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'defs', 'symbol', 'use',
+    'title', 'desc', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'pattern', 'marker',
+    'text', 'tspan', 'animate', 'animatetransform', 'animatemotion', 'set', 'mpath',
+    'filter', 'feblend', 'fecolormatrix', 'fecomponenttransfer', 'fecomposite', 'feflood', 'fefunca', 'fefuncb',
+    'fefuncg', 'fefuncr', 'fegaussianblur', 'femerge', 'femergenode', 'femorphology', 'feoffset', 'fedropshadow',
+    // Font icon markup
+    'i', 'span', 'b', 'em', 'strong', 'small', 'sub', 'sup'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'id', 'class', 'style', 'role', 'title', 'lang', 'xmlns', 'xmlns:xlink', 'version',
+    'viewbox', 'preserveaspectratio', 'width', 'height', 'x', 'y', 'x1', 'x2', 'y1', 'y2', 'cx', 'cy', 'r', 'rx',
+    'ry', 'fx', 'fy', 'fr', 'd', 'points', 'pathlength', 'transform', 'transform-origin', 'opacity', 'color',
+    'fill', 'stroke', 'display', 'visibility', 'overflow', 'vector-effect', 'shape-rendering', 'paint-order',
+    'mask', 'clip-path', 'clip-rule', 'filter', 'offset', 'gradientunits', 'gradienttransform', 'spreadmethod',
+    'patternunits', 'patterncontentunits', 'patterntransform', 'maskunits', 'maskcontentunits', 'clippathunits',
+    'filterunits', 'primitiveunits', 'markerwidth', 'markerheight', 'markerunits', 'refx', 'refy', 'orient',
+    'dx', 'dy', 'rotate', 'textlength', 'lengthadjust', 'text-anchor', 'dominant-baseline', 'alignment-baseline',
+    'letter-spacing', 'word-spacing', 'writing-mode', 'href', 'xlink:href',
+    'in', 'in2', 'result', 'stddeviation', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4', 'values', 'type',
+    'tablevalues', 'slope', 'intercept', 'amplitude', 'exponent', 'radius', 'edgemode', 'flood-color',
+    'flood-opacity', 'lighting-color', 'color-interpolation', 'color-interpolation-filters',
+    'attributename', 'attributetype', 'begin', 'dur', 'end', 'repeatcount', 'repeatdur', 'from', 'to', 'by',
+    'keytimes', 'keysplines', 'keypoints', 'calcmode', 'additive', 'accumulate', 'restart', 'path'
+]);
+
+const ALLOWED_ATTRIBUTE_PREFIXES = /^(?:aria-|data-|fill-|stroke-|stop-|font-|marker-|text-)/;
+
+// Only references inside the icon itself, e.g. `#gradient` or `url(#gradient)`
+const URL_VALUE = /url\s*\(\s*['"]?\s*(?!#)/i;
+const UNSAFE_VALUE = /javascript:|expression\s*\(|@import/i;
+
+let policy;
+
+/**
+ * Markup as accepted by the HTML parser, through the private policy when Trusted Types are available.
+ * Only used to parse into inert documents.
+ * @param {string} markup
+ * @returns {string|TrustedHTML}
+ */
+function parserInput(markup) {
+    if (typeof trustedTypes === 'undefined' || !trustedTypes.createPolicy) {
+        return markup;
+    }
+
+    if (policy === undefined) {
+        try {
+            policy = trustedTypes.createPolicy(POLICY_NAME, {createHTML: html => html});
+        } catch (e) {
+            // Name not allowed by the page's CSP, sinks will report it
+            policy = null;
+        }
+    }
+
+    return policy ? policy.createHTML(markup) : markup;
+}
+
+/**
+ * Parse markup into an inert document, nothing in it loads or runs
+ * @param {string} markup
+ * @returns {HTMLBodyElement}
+ */
+export function parseMarkup(markup) {
+    return new DOMParser().parseFromString(parserInput(`<!doctype html><body>${markup}`), 'text/html').body;
+}
+
+/**
+ * @param {Attr} attribute
+ * @returns {boolean}
+ */
+function isAllowedAttribute({name, value}) {
+    const attribute = name.toLowerCase();
+
+    if (!ALLOWED_ATTRIBUTES.has(attribute) && !ALLOWED_ATTRIBUTE_PREFIXES.test(attribute)) {
+        return false;
+    }
+
+    if (UNSAFE_VALUE.test(value) || URL_VALUE.test(value)) {
+        return false;
+    }
+
+    if (attribute === 'href' || attribute === 'xlink:href') {
+        return value.trim().startsWith('#');
+    }
+
+    // Animations must not rewrite links or event handlers
+    if (attribute === 'attributename') {
+        return !/^(?:xlink:)?href$|^on/i.test(value.trim());
+    }
+
+    return true;
+}
+
+/**
+ * Remove everything not in the allowlist, in place
+ * @param {Element} root
+ */
+function cleanTree(root) {
+    Array.from(root.childNodes).forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE || !ALLOWED_ELEMENTS.has(node.localName.toLowerCase())) {
+            node.remove();
+            return;
+        }
+
+        Array.from(node.attributes).forEach((attribute) => {
+            if (!isAllowedAttribute(attribute)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+
+        cleanTree(node);
+    });
+}
+
+/**
+ * Built-in allowlist sanitizer
+ * @param {string} markup
+ * @returns {string}
+ */
+export function sanitizeMarkup(markup) {
+    const body = parseMarkup(String(markup ?? ''));
+    cleanTree(body);
+
+    return body.innerHTML;
+}
+
+/**
+ * Resolve the `sanitize` option to a function
+ * @param {boolean|Function|{sanitize: Function}} option `true` for the built-in sanitizer, `false` to trust
+ *        collections, a function returning safe markup, or DOMPurify
+ * @returns {?function(string): string} `null` when sanitizing is off
+ */
+export function createSanitizer(option) {
+    if (option === false) {
+        return null;
+    }
+
+    // DOMPurify is itself a function, check for it first
+    if (option && typeof option.sanitize === 'function') {
+        return markup => String(option.sanitize(markup, {USE_PROFILES: {html: true, svg: true, svgFilters: true}}));
+    }
+
+    if (typeof option === 'function') {
+        return markup => String(option(markup));
+    }
+
+    return sanitizeMarkup;
+}
+
+/**
+ * Replace the content of an element with markup that is already safe (sanitized or our own templates)
+ * @param {Element} element
+ * @param {string} markup
+ */
+export function setMarkup(element, markup) {
+    element.replaceChildren(...Array.from(parseMarkup(markup).childNodes));
+}
@@ -0,0 +1,303 @@
+/*
+  Ranked icon search
+  ------------------
+  Scores every icon against the query instead of a plain substring test:
+  - exact > prefix > word-boundary > substring > fuzzy (small typos)
+  - the name weighs more than aliases, tags and categories
+  - multi-word queries must match every word
+  - a unicode codepoint (`f007`, `U+F007`, `\uf007`, `0xf007` or the glyph itself) matches the icon's `unicode`
+*/
+
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 80;
+const SCORE_WORD = 60;
+const SCORE_SUBSTRING = 40;
+const SCORE_FUZZY = 20;
+const SCORE_UNICODE = 120;
+
+const WEIGHT_NAME = 1;
+const WEIGHT_ALIAS = .9;
+const WEIGHT_TAG = .7;
+const WEIGHT_CATEGORY = .5;
+
+const WORD_SEPARATOR = /[\s\-_:/.]+/;
+const UNICODE_QUERY = /^(?:u\+|\\u|0x)?([0-9a-f]{4,6})$/;
+
+/**
+ * Precompute the searchable terms of an icon, plain data so it can be built in a worker
+ * @param {{value: string, aliases?: string[], tags?: string[], categories?: string[], unicode?: string}} item
+ * @returns {{terms: Array<{text: string, words: string[], weight: number}>, unicode: ?string}}
+ */
+export function createSearchTerms(item) {
+    const terms = [];
+    const add = (values, weight) => (values || []).forEach((value) => {
+        const text = String(value).toLowerCase();
+        terms.push({text, words: text.split(WORD_SEPARATOR).filter(Boolean), weight});
+    });
+
+    add([item.value], WEIGHT_NAME);
+    add(item.aliases, WEIGHT_ALIAS);
+    add(item.tags, WEIGHT_TAG);
+    add(item.categories, WEIGHT_CATEGORY);
+
+    return {terms, unicode: item.unicode ? item.unicode.toLowerCase() : null};
+}
+
+/**
+ * Search entry of an icon, reusing terms precomputed in `item.searchTerms`
+ * @param {Object} item
+ * @returns {{ref: Object, terms: Array, unicode: ?string}}
+ */
+export function createSearchEntry(item) {
+    return {ref: item, ...(item.searchTerms || createSearchTerms(item))};
+}
+
+/**
+ * Filter and sort entries by relevance, catalog order breaks ties
+ * @param {Array} entries Result of `createSearchEntry`
+ * @param {string} query
+ * @returns {Object[]} Matching items, best first
+ */
+export function rankEntries(entries, query) {
+    return scoreEntries(entries, query).map(result => result.ref);
+}
+
+/**
+ * Same as `rankEntries`, keeping the score of every item
+ * @param {Array} entries Result of `createSearchEntry`
+ * @param {string} query
+ * @returns {Array<{ref: Object, score: number}>} Best first
+ */
+export function scoreEntries(entries, query) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const unicode = tokens.length === 1 ? unicodeQuery(tokens[0]) : null;
+    const scored = [];
+
+    entries.forEach((entry, index) => {
+        let score = 0;
+
+        if (unicode && entry.unicode === unicode) {
+            score = SCORE_UNICODE;
+        } else {
+            for (const token of tokens) {
+                const tokenScore = scoreEntry(entry, token);
+
+                if (!tokenScore) {
+                    score = 0;
+                    break;
+                }
+
+                score += tokenScore;
+            }
+        }
+
+        if (score > 0) {
+            scored.push({score, index, ref: entry.ref});
+        }
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ref, score}) => ({ref, score}));
+}
+
+/**
+ * Bucket of a score returned by `scoreEntries`, averaged over the words of the query
+ * @param {number} score
+ * @param {string} query
+ * @returns {'best'|'good'|'related'} `best`: the name or an alias starts with the query (or the unicode matches),
+ *          `good`: one of their words or a tag does, `related`: substrings, categories and typos
+ */
+export function relevanceBucket(score, query) {
+    const perToken = score / Math.max(1, query.split(/\s+/).filter(Boolean).length);
+
+    if (perToken >= SCORE_PREFIX * WEIGHT_ALIAS) {
+        return 'best';
+    }
+
+    return perToken >= SCORE_WORD * WEIGHT_TAG ? 'good' : 'related';
+}
+
+/**
+ * Terms an item was found by, one per query word (the best scoring one), e.g. to show that a tag matched
+ * @param {Object} item
+ * @param {string} query
+ * @returns {string[]} Lowercase terms without duplicates
+ */
+export function matchedTerms(item, query) {
+    const {terms} = createSearchEntry(item);
+    const matched = [];
+
+    query.toLowerCase().split(/\s+/).filter(Boolean).forEach((token) => {
+        let best = null;
+        let bestScore = 0;
+
+        for (const term of terms) {
+            const score = scoreTerm(term, token) * term.weight;
+
+            if (score > bestScore) {
+                best = term;
+                bestScore = score;
+            }
+        }
+
+        if (best && !matched.includes(best.text)) {
+            matched.push(best.text);
+        }
+    });
+
+    return matched;
+}
+
+/**
+ * Where the words of a query occur in a text, case-insensitive
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<[number, number]>} Sorted and merged `[start, end)` ranges
+ */
+export function highlightRanges(text, query) {
+    const lower = String(text).toLowerCase();
+    const ranges = [];
+
+    query.toLowerCase().split(/\s+/).filter(Boolean).forEach((token) => {
+        for (let index = lower.indexOf(token); index !== -1; index = lower.indexOf(token, index + token.length)) {
+            ranges.push([index, index + token.length]);
+        }
+    });
+
+    return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+
+            return merged;
+        }, []);
+}
+
+/**
+ * Codepoint (lowercase hex) a query token refers to, if any
+ * @param {string} token
+ * @returns {?string}
+ */
+function unicodeQuery(token) {
+    if (token.length <= 2 && token.codePointAt(0) > 0x7f && String.fromCodePoint(token.codePointAt(0)) === token) {
+        return token.codePointAt(0).toString(16);
+    }
+
+    return token.match(UNICODE_QUERY)?.[1] ?? null;
+}
+
+/**
+ * Best weighted score of a single query token over all terms of an entry
+ * @param {Object} entry
+ * @param {string} token
+ * @returns {number}
+ */
+function scoreEntry(entry, token) {
+    let best = 0;
+
+    for (const term of entry.terms) {
+        const score = scoreTerm(term, token) * term.weight;
+
+        if (score > best) {
+            best = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * @param {{text: string, words: string[]}} term
+ * @param {string} token
+ * @returns {number}
+ */
+function scoreTerm(term, token) {
+    const {text, words} = term;
+
+    if (text === token) {
+        return SCORE_EXACT;
+    }
+
+    if (text.startsWith(token)) {
+        return SCORE_PREFIX;
+    }
+
+    if (words.some(word => word.startsWith(token))) {
+        return SCORE_WORD;
+    }
+
+    if (text.includes(token)) {
+        return SCORE_SUBSTRING;
+    }
+
+    const maxTypos = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+
+    if (maxTypos === 0) {
+        return 0;
+    }
+
+    let best = 0;
+
+    for (const word of words) {
+        // Compare against the word and its same-length prefix so "arow" still finds "arrow-left"
+        const distance = Math.min(
+            editDistance(token, word, maxTypos),
+            editDistance(token, word.slice(0, token.length), maxTypos)
+        );
+
+        if (distance <= maxTypos) {
+            best = Math.max(best, SCORE_FUZZY - distance * 5);
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), bailing out once `max` is exceeded
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or `max + 1` when larger than `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let prevPrev = null;
+    let prev = Array.from({length: b.length + 1}, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) {
+            return max + 1;
+        }
+
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
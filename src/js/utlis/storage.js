@@ -0,0 +1,60 @@
+/**
+ * Resolve the storage adapter, falling back to `localStorage` when it is available.
+ * @param {?{getItem: Function, setItem: Function, removeItem: Function}} adapter
+ * @returns {?{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+function resolveAdapter(adapter) {
+    if (adapter) {
+        return adapter;
+    }
+
+    try {
+        return window.localStorage;
+    } catch (e) {
+        // Access throws in sandboxed iframes and some private modes
+        return null;
+    }
+}
+
+/**
+ * JSON persistence on top of a `localStorage`-like adapter.
+ * Adapter methods may return promises, so a backend-synced store can be plugged in.
+ * @param {?Object} adapter
+ * @param {string} namespace Prefix for every key
+ * @returns {{get: (function(string, *=): Promise<*>), set: (function(string, *): Promise<void>)}}
+ */
+export function createStorage(adapter, namespace) {
+    const storage = resolveAdapter(adapter);
+    const keyFor = key => `${namespace}:${key}`;
+
+    return {
+        async get(key, fallback = null) {
+            if (!storage) {
+                return fallback;
+            }
+
+            try {
+                const raw = await storage.getItem(keyFor(key));
+                return raw === null || raw === undefined ? fallback : JSON.parse(raw);
+            } catch (e) {
+                return fallback;
+            }
+        },
+
+        async set(key, value) {
+            if (!storage) {
+                return;
+            }
+
+            try {
+                if (value === null || value === undefined) {
+                    await storage.removeItem(keyFor(key));
+                } else {
+                    await storage.setItem(keyFor(key), JSON.stringify(value));
+                }
+            } catch (e) {
+                // Quota exceeded or adapter failure, persistence is best effort
+            }
+        }
+    };
+}
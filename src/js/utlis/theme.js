@@ -0,0 +1,78 @@
+/*
+  Runtime theming
+  ---------------
+  The stylesheets expose their colors, radii and gaps as `--icon-picker-<token>` custom properties.
+  A theme object sets tokens on the picker at runtime, on top of the stylesheet it names:
+
+    {name: 'default', colorScheme: 'auto', accent: '#E91E63', tileRadius: 8, dark: {accent: '#F48FB1'}}
+*/
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * @param {string|Object} theme A stylesheet name or a theme object
+ * @returns {{name: string, colorScheme: string, tokens: Object, dark: Object}}
+ */
+export function normalizeTheme(theme) {
+    if (!theme || typeof theme !== 'object') {
+        return {name: theme || 'default', colorScheme: 'auto', tokens: {}, dark: {}};
+    }
+
+    const {name = 'default', colorScheme = 'auto', dark = {}, ...tokens} = theme;
+
+    return {name, colorScheme, tokens, dark};
+}
+
+/**
+ * @param {string} token camelCase token, e.g. `tileRadius`
+ * @returns {string} e.g. `--icon-picker-tile-radius`
+ */
+export function tokenProperty(token) {
+    return `--icon-picker-${token.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+}
+
+/**
+ * @param {string} colorScheme `auto`, `light` or `dark`
+ * @returns {boolean}
+ */
+export function isDarkScheme(colorScheme) {
+    if (colorScheme === 'auto') {
+        return typeof matchMedia === 'function' && matchMedia(DARK_QUERY).matches;
+    }
+
+    return colorScheme === 'dark';
+}
+
+/**
+ * Call back when the system color scheme changes
+ * @param {Function} callback
+ * @returns {Function} Removes the listener
+ */
+export function watchColorScheme(callback) {
+    if (typeof matchMedia !== 'function') {
+        return () => {};
+    }
+
+    const query = matchMedia(DARK_QUERY);
+    query.addEventListener('change', callback);
+
+    return () => query.removeEventListener('change', callback);
+}
+
+/**
+ * Replace the tokens set on an element, numbers are taken as pixels
+ * @param {HTMLElement} element
+ * @param {Object} tokens
+ * @param {string[]} previous Properties set by the last call
+ * @returns {string[]} Properties now set
+ */
+export function applyTokens(element, tokens, previous = []) {
+    previous.forEach(property => element.style.removeProperty(property));
+
+    return Object.entries(tokens).filter(([, value]) => value != null && value !== '').map(([token, value]) => {
+        const property = tokenProperty(token);
+        element.style.setProperty(property, typeof value === 'number' ? `${value}px` : String(value));
+
+        return property;
+    });
+}
@@ -1,4 +1,6 @@
-function eventListener(method, elements, events, fn) {
+import { parseMarkup } from "./sanitize";
+
+function eventListener(method, elements, events, fn, options = {}) {
     if (!Array.isArray(elements)) {
         elements = [elements];
     }
@@ -9,7 +11,7 @@ function eventListener(method, elements, events, fn) {
 
     for (const el of elements) {
         for (const ev of events) {
-            el[method](ev, fn);
+            el[method](ev, fn, options);
         }
     }
 
@@ -57,15 +59,7 @@ export function resolveElement(val) {
  * @return {Node}       The template HTML
  */
 export function stringToHTML(str) {
-    if (window.DOMParser) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(str, 'text/html');
-        return doc.body.firstElementChild;
-    }
-
-    const dom = document.createElement('div');
-    dom.innerHTML = str;
-    return dom.firstElementChild;
+    return parseMarkup(str).firstElementChild;
 }
 
 /**
@@ -89,7 +83,7 @@ export function mergeDeep(target, source) {
     if (isObject(target) && isObject(source)) {
         Object.keys(source).forEach(key => {
             if (isObject(source[key])) {
-                if (!(key in target))
+                if (!(key in target) || !isObject(target[key]))
                     Object.assign(output, {[key]: source[key]});
                 else
                     output[key] = mergeDeep(target[key], source[key]);
@@ -128,3 +122,115 @@ export function debounce(callback, delay){
 export function getKeyByValue(object, value) {
     return Object.keys(object).find(key => object[key] === value);
 }
+
+/**
+ * Reject when the promise does not settle in time
+ * @param {Promise} promise
+ * @param {number} ms No timeout when `0` or less
+ * @param {string} message
+ * @param {?function(Error): void} onTimeout E.g. to abort the work behind the promise
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, message, onTimeout = null) {
+    if (!(ms > 0)) {
+        return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+
+            onTimeout?.(error);
+            reject(error);
+        }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Copy text to the clipboard, falling back to `execCommand` where the Clipboard API is missing or denied
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+export async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (e) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            return document.execCommand('copy');
+        } catch (err) {
+            return false;
+        } finally {
+            textarea.remove();
+        }
+    }
+}
+
+/**
+ * Elements reachable with Tab inside a container, in DOM order
+ * @param {Element} container
+ * @returns {HTMLElement[]}
+ */
+export function focusableElements(container) {
+    const candidates = container.querySelectorAll('a[href], button, input, select, textarea, [tabindex]');
+
+    return Array.from(candidates).filter(el => !el.disabled && el.tabIndex >= 0 && !el.closest('[hidden], [inert], [aria-hidden="true"]'));
+}
+
+/**
+ * Fill an element with text, wrapping the given ranges in `<mark>`
+ * @param {Element} element
+ * @param {string} text
+ * @param {Array<[number, number]>} ranges Sorted, non-overlapping `[start, end)` ranges
+ */
+export function highlightText(element, text, ranges = []) {
+    const nodes = [];
+    let index = 0;
+
+    ranges.forEach(([start, end]) => {
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        nodes.push(text.slice(index, start), mark);
+        index = end;
+    });
+    nodes.push(text.slice(index));
+
+    element.replaceChildren(...nodes.filter(node => node !== ''));
+}
+
+/**
+ * Join values with commas, quoting the ones that hold a comma or a quote the way CSV does
+ * @param {string[]} values
+ * @returns {string}
+ */
+export function joinQuoted(values) {
+    return values.map(value => /[",]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : value).join(',');
+}
+
+/**
+ * Split a string written by `joinQuoted`, unquoted values are trimmed and empty ones dropped
+ * @param {string} str
+ * @returns {string[]}
+ */
+export function splitQuoted(str) {
+    const values = [];
+    const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+    let match;
+
+    while (pattern.lastIndex < str.length && (match = pattern.exec(str))) {
+        values.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+    }
+
+    return values.filter(Boolean);
+}
@@ -3,9 +3,17 @@
   ----------------------------------
   Renders only the visible icons (plus a buffer) inside a scrollable container.
   - No frameworks, no dependencies
-  - Works with your availableIcons: [{ value: string, categories?: string[] }]
+  - Works with your availableIcons: [{ value: string, aliases?: string[], tags?: string[], categories?: string[], unicode?: string }]
+  - Ranked search (see ./search.js): best matches first, tolerates small typos
   - Integrates with an <input> for searching
+  - Named filters (e.g. category) combined with the search query
   - Keeps DOM size tiny and fast even with thousands of icons
+  - Roving tabindex keyboard navigation (arrows, Home/End, PageUp/PageDown)
+  - Right-to-left layout: columns and arrow keys are mirrored with `rtl: true`
+  - ARIA grid semantics: rows and cells carry their position in the whole (virtual) grid
+  - List layout (`list: true`): one full-width row per item, as high as the rendered item
+  - Sections (`groupBy`): every group starts on a new row under its own header, the header of the group at the top
+    of the viewport sticks there until the next one pushes it out
 
   Basic usage (inside your component/class):
 
@@ -20,14 +28,24 @@
         btn.title = icon.value;
         btn.setAttribute('aria-label', icon.value);
         // Example inner content; adjust to your icon system
-        btn.innerHTML = `<i class="${icon.value}"></i>`;
+        const i = document.createElement('i');
+        i.className = icon.value;
+        btn.appendChild(i);
         // Optional: selection behavior
         btn.addEventListener('click', () => this._onSelect && this._onSelect(icon));
         return btn;
       },
       i18nEmpty: options.i18n['text:empty'],
       estimateItemSize: { width: 72, height: 72 }, // tune to your icon tile size
-      bufferRows: 4                                // extra rows rendered above/below viewport
+      bufferRows: 4,                               // extra rows rendered above/below viewport
+      rtl: false,                                  // mirror the columns for right-to-left pages
+      list: false,                                 // one item per row, see setLayout()
+      label: 'Icons',                              // accessible name of the grid
+      multiselectable: false,                      // several cells can be aria-selected
+      groupBy: (icon) => icon.source,              // section key (gets { score, query } too), null: last, no header
+      renderHeader: (section) => {},               // element for a section { key, start, count }
+      headerHeight: 28,                            // px, section headers always get this height
+      onResults: (count) => {}                     // called with the number of matches after each filter
     });
 
     this.virtualIconGrid.mount();
@@ -42,11 +60,15 @@
   Minimal CSS you should have:
     .virtual-scroll { overflow: auto; position: relative; }
     .vs-inner { position: relative; width: 100%; }
+    .vs-sticky { position: sticky; top: 0; z-index: 1; }
+    .vs-row { position: absolute; top: 0; left: 0; width: 100%; }
     .vs-item { position: absolute; }
     .is-empty { padding: 1rem; color: #666; }
 
 */
 
+import { createSearchEntry, scoreEntries } from "./search";
+
 export default class VirtualIconGrid {
   constructor({
     container,
@@ -56,7 +78,16 @@ export default class VirtualIconGrid {
     estimateItemSize = { width: 42, height: 42 },
     gaps = { x: 6, y: 6 },
 
-    bufferRows = 3
+    bufferRows = 3,
+    rtl = false,
+    list = false,
+    label = '',
+    multiselectable = false,
+    id = null,
+    onResults = null,
+    groupBy = null,
+    renderHeader = null,
+    headerHeight = 28
   }) {
     if (!container) throw new Error('VirtualIconGrid: container is required');
     if (!renderItem) throw new Error('VirtualIconGrid: renderItem is required');
@@ -67,23 +98,49 @@ export default class VirtualIconGrid {
     this.i18nEmpty = i18nEmpty;
     this.estimate = estimateItemSize;
     this.bufferRows = Math.max(0, bufferRows | 0);
+    this.rtl = rtl;
+    this.list = list;
+    this.onResults = onResults;
+    this.groupBy = groupBy;
+    this.renderHeader = renderHeader || ((section) => {
+      const el = document.createElement('div');
+      el.textContent = section.key;
+      return el;
+    });
 
     // Internal state
     this._query = '';
-    this._indexed = [];   // [{value, text}]
-    this._filtered = [];  // filtered items
+    this._filters = new Map(); // name -> predicate(item)
+    this._indexed = [];   // search entries, see createSearchEntry
+    this._filtered = [];  // filtered items, grouped by section
+    this._sections = [];  // { key, start, count } over _filtered, plus their first row once laid out
+    this._rows = [];      // { top, height, start, end, header? } laid out rows, see _buildRows
     this._cols = 1;
     this._itemW = this.estimate.width;
     this._itemH = this.estimate.height;
     this._gapX = gaps.x; // horizontal gap guess; refined via measurement
     this._gapY = gaps.y; // vertical gap guess
+    this._headerH = headerHeight;
+    this._hasHeaders = false;
+    this._stickySection = null; // section shown by _stickyEl
     this._mounted = false;
+    this._activeIndex = -1; // roving tabindex position inside _filtered
     this._onScroll = this._onScroll.bind(this);
     this._onResize = this._onResize.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onFocusIn = this._onFocusIn.bind(this);
 
     // DOM nodes
     this._inner = document.createElement('div');
     this._inner.className = 'vs-inner';
+    this._inner.setAttribute('role', 'grid');
+    if (id) this._inner.id = id;
+    if (label) this._inner.setAttribute('aria-label', label);
+    if (multiselectable) this._inner.setAttribute('aria-multiselectable', 'true');
+    this._stickyEl = document.createElement('div');
+    this._stickyEl.className = 'vs-sticky';
+    this._stickyEl.setAttribute('aria-hidden', 'true'); // copy of a header that is in the grid
+    this._stickyEl.hidden = true;
     this._emptyEl = document.createElement('div');
     this._emptyEl.className = 'is-empty';
     this._emptyEl.textContent = this.i18nEmpty;
@@ -97,6 +154,7 @@ export default class VirtualIconGrid {
     // Prepare index and initial filter
     this._buildIndex();
     this._filtered = this.items;
+    this._group();
   }
 
   mount() {
@@ -112,17 +170,17 @@ export default class VirtualIconGrid {
     // Attach inner scroll space
     this.container.appendChild(this._inner);
 
-    // Measure actual item size + gaps using a sample
-    this._measureItem();
-
-    // Compute columns and paint initial frame
+    // Compute columns, measure list rows using a sample and paint initial frame
     this._computeLayout();
+    this._measureItem();
     this._updateInnerHeight();
     this._renderWindow();
     this._toggleEmptyMessage();
 
     // Listeners
     this.container.addEventListener('scroll', this._onScroll, { passive: true });
+    this.container.addEventListener('keydown', this._onKeyDown);
+    this._inner.addEventListener('focusin', this._onFocusIn);
 
     // ResizeObserver for container size changes
     if ('ResizeObserver' in window) {
@@ -139,6 +197,8 @@ export default class VirtualIconGrid {
     this._mounted = false;
 
     this.container.removeEventListener('scroll', this._onScroll);
+    this.container.removeEventListener('keydown', this._onKeyDown);
+    this._inner.removeEventListener('focusin', this._onFocusIn);
     if (this._resizeObs) {
       this._resizeObs.disconnect();
       this._resizeObs = null;
@@ -161,27 +221,272 @@ export default class VirtualIconGrid {
     const next = (q || '').toLowerCase();
     if (next === this._query) return;
     this._query = next;
+    this._activeIndex = -1;
     this._applyFilter();
   }
 
+  /**
+   * Set or remove (predicate = null) a named filter; all filters and the query must match.
+   * @param {string} name
+   * @param {?function(Object): boolean} predicate
+   */
+  setFilter(name, predicate) {
+    if (predicate) {
+      this._filters.set(name, predicate);
+    } else if (!this._filters.delete(name)) {
+      return;
+    }
+    this._activeIndex = -1;
+    this.container.scrollTop = 0;
+    this._applyFilter();
+  }
+
+  /**
+   * Change the tile size (e.g. from a theme) or switch between grid and list, keeping the first visible item in view.
+   * @param {{width: number, height: number, list?: boolean}} layout in list mode `height` is the minimum row height
+   */
+  setLayout({ width, height, list = this.list }) {
+    const anchor = this._mounted ? this._firstVisibleIndex() : 0;
+    this.estimate = { width, height };
+    this._itemW = width;
+    this._itemH = height;
+    this.list = list;
+    if (!this._mounted) return;
+
+    // Grid columns are computed from the space available, not from the width of the previous layout
+    if (!list) this.container.style.width = '';
+    this._computeLayout();
+    this._measureItem();
+    this._updateInnerHeight();
+    this.container.scrollTop = this._scrollTopOf(anchor);
+    if (this._inner.contains(document.activeElement)) this.scrollToIndex(this._activeIndex);
+    this._lastRange.start = -1;
+    this._renderWindow();
+  }
+
+  /**
+   * Repaint the rendered window, e.g. after per-item state such as the selection changed.
+   */
+  refresh() {
+    if (!this._mounted) return;
+    this._stickySection = null;
+    this._lastRange.start = -1;
+    this._renderWindow();
+  }
+
+  /**
+   * Move the roving active tile, scrolling it into view first so it exists in the DOM.
+   * @param {number} index position inside the filtered items
+   * @param {{focus?: boolean}} options
+   */
+  setActiveIndex(index, { focus = false } = {}) {
+    if (!this._filtered.length) return;
+    this._activeIndex = Math.max(0, Math.min(this._filtered.length - 1, index));
+    this.scrollToIndex(this._activeIndex);
+    this._lastRange.start = -1; // force repaint so tabindex/is-active follow the new index
+    this._renderWindow();
+    if (focus) this.focusActive();
+  }
+
+  /**
+   * Focus the active tile (or the first one when nothing is active yet).
+   */
+  focusActive() {
+    if (!this._filtered.length) return;
+    if (this._activeIndex < 0) {
+      this.setActiveIndex(0, { focus: true });
+      return;
+    }
+    const el = this._elementAt(this._activeIndex);
+    if (el) el.focus({ preventScroll: true });
+  }
+
+  /**
+   * Adjust scrollTop so the row holding `index` is fully visible.
+   * @param {number} index
+   */
+  scrollToIndex(index) {
+    if (!this._rows.length) return;
+    const row = this._rows[this._rowOfIndex(index)];
+    const top = row.top - this._stickyHeight(); // not under the sticky header
+    const bottom = row.top + row.height;
+    const viewTop = this.container.scrollTop;
+    const viewH = this.container.clientHeight;
+
+    if (top < viewTop) {
+      this.container.scrollTop = top;
+    } else if (bottom > viewTop + viewH) {
+      this.container.scrollTop = bottom - viewH;
+    }
+  }
+
+  /**
+   * Scroll a section to the top of the viewport.
+   * @param {string} key as returned by groupBy
+   * @returns {boolean} false when no such section is shown (or the grid isn't mounted yet)
+   */
+  scrollToSection(key) {
+    const section = this._sections.find(s => s.key === key);
+    if (!this._mounted || !section || key == null) return false;
+    this.container.scrollTop = this._rows[section.row].top;
+    this._renderWindow();
+    return true;
+  }
+
+  /**
+   * Sections of the filtered items, in display order.
+   * @returns {Array<{key: ?string, start: number, count: number}>}
+   */
+  get sections() {
+    return this._sections.map(({ key, start, count }) => ({ key, start, count }));
+  }
+
+  /**
+   * Current search query, e.g. to highlight matches in the rendered items.
+   * @returns {string}
+   */
+  get query() {
+    return this._query;
+  }
+
   // ---------- internals ----------
+  _elementAt(index) {
+    return this._inner.querySelector(`[data-index="${index}"]`);
+  }
+
+  _firstVisibleIndex() {
+    return this._rows.length ? this._rows[this._rowAt(this.container.scrollTop + this._stickyHeight())].start : 0;
+  }
+
+  // Scroll position showing the row of `index` right below the sticky header
+  _scrollTopOf(index) {
+    return this._rows.length ? Math.max(0, this._rows[this._rowOfIndex(index)].top - this._stickyHeight()) : 0;
+  }
+
+  _stickyHeight() {
+    return this._hasHeaders ? this._headerH + this._gapY : 0;
+  }
+
+  // Last row starting at or above `y`
+  _rowAt(y) {
+    const rows = this._rows;
+    let lo = 0;
+    let hi = rows.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (rows[mid].top <= y) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  // Position in _sections of the section holding item `index`, or the row `index` with `byRow`
+  _sectionAt(index, byRow = false) {
+    const sections = this._sections;
+    let lo = 0;
+    let hi = sections.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if ((byRow ? sections[mid].row : sections[mid].start) <= index) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  _rowOfIndex(index) {
+    const section = this._sections[this._sectionAt(index)];
+    return section.firstRow + Math.floor((index - section.start) / this._cols);
+  }
+
+  /**
+   * Item in the same column `offset` item rows away, section headers are skipped and shorter rows give their last item.
+   * Moves cut short by the edges stay put, except paging down which lands on the last item.
+   */
+  _indexInRow(rowIndex, offset, col) {
+    const rows = this._rows;
+    const step = Math.sign(offset);
+    let target = rowIndex;
+    let remaining = Math.abs(offset);
+
+    for (let r = rowIndex + step; remaining > 0 && r >= 0 && r < rows.length; r += step) {
+      if (rows[r].header) continue;
+      target = r;
+      remaining--;
+    }
+
+    if (remaining > 0 && offset > 1) return this._filtered.length - 1;
+    return Math.min(rows[target].start + col, rows[target].end - 1);
+  }
+
+  _visibleRows() {
+    return Math.max(1, Math.floor(this.container.clientHeight / (this._itemH + this._gapY)));
+  }
+
+  _onFocusIn(evt) {
+    const el = evt.target.closest('.vs-item');
+    if (!el || el.dataset.index === undefined) return;
+    const index = Number(el.dataset.index);
+    if (index === this._activeIndex) return;
+
+    const prev = this._elementAt(this._activeIndex);
+    if (prev) {
+      prev.tabIndex = -1;
+      prev.classList.remove('is-active');
+    }
+    this._activeIndex = index;
+    el.tabIndex = 0;
+    el.classList.add('is-active');
+  }
+
+  _onKeyDown(evt) {
+    if (!this._filtered.length || !this._inner.contains(evt.target)) return;
+
+    const current = Math.max(0, this._activeIndex);
+    const rowIndex = this._rowOfIndex(current);
+    const row = this._rows[rowIndex];
+    const col = current - row.start;
+    const last = this._filtered.length - 1;
+    const forward = this.rtl ? -1 : 1; // ArrowRight moves back in the item order when mirrored
+    let next;
+
+    switch (evt.key) {
+      case 'ArrowRight': next = current + forward; break;
+      case 'ArrowLeft': next = current - forward; break;
+      case 'ArrowDown': next = this._indexInRow(rowIndex, 1, col); break;
+      case 'ArrowUp': next = this._indexInRow(rowIndex, -1, col); break;
+      case 'Home': next = evt.ctrlKey ? 0 : row.start; break;
+      case 'End': next = evt.ctrlKey ? last : row.end - 1; break;
+      case 'PageDown': next = this._indexInRow(rowIndex, this._visibleRows(), col); break;
+      case 'PageUp': next = this._indexInRow(rowIndex, -this._visibleRows(), col); break;
+      default: return;
+    }
+
+    evt.preventDefault();
+    // Moves past the first / last item stay put
+    if (next < 0 || next > last) next = current;
+    this.setActiveIndex(next, { focus: true });
+  }
+
   _buildIndex() {
-    this._indexed = this.items.map(it => ({
-      value: it.value,
-      text: [it.value, ...(it.categories || [])].join(' ').toLowerCase(),
-      ref: it
-    }));
+    this._indexed = this.items.map(createSearchEntry);
   }
 
   _applyFilter() {
-    if (!this._query) {
+    const q = this._query;
+    const predicates = Array.from(this._filters.values());
+
+    let scores = null;
+
+    if (!q && !predicates.length) {
       this._filtered = this.items;
     } else {
-      const q = this._query;
-      this._filtered = this._indexed
-        .filter(row => row.text.includes(q))
-        .map(row => row.ref);
+      const candidates = predicates.length ? this._indexed.filter(row => predicates.every(fn => fn(row.ref))) : this._indexed;
+      const scored = q ? scoreEntries(candidates, q) : null;
+      this._filtered = scored ? scored.map(row => row.ref) : candidates.map(row => row.ref);
+      if (scored && this.groupBy) scores = new Map(scored.map(row => [row.ref, row.score]));
     }
+    this._group(scores);
+    this._activeIndex = Math.min(this._activeIndex, this._filtered.length - 1);
+    if (this.onResults) this.onResults(this._filtered.length);
+    if (!this._mounted) return; // painted on mount
 
     this._toggleEmptyMessage();
     this._updateInnerHeight();
@@ -189,6 +494,38 @@ export default class VirtualIconGrid {
     this._renderWindow();
   }
 
+  /**
+   * Split _filtered into sections, keeping the order of the items inside each; sections come in the order of their
+   * first item, items without a section last.
+   * @param {?Map<Object, number>} scores search score per item
+   */
+  _group(scores = null) {
+    const filtered = this._filtered;
+    if (!this.groupBy || !filtered.length) {
+      this._sections = [{ key: null, start: 0, count: filtered.length }];
+      return;
+    }
+
+    const groups = new Map();
+    filtered.forEach((item) => {
+      const key = this.groupBy(item, { score: scores ? scores.get(item) : undefined, query: this._query }) ?? null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    if (groups.has(null)) {
+      const rest = groups.get(null);
+      groups.delete(null);
+      groups.set(null, rest);
+    }
+
+    this._filtered = [];
+    this._sections = [];
+    groups.forEach((items, key) => {
+      this._sections.push({ key, start: this._filtered.length, count: items.length });
+      for (const item of items) this._filtered.push(item);
+    });
+  }
+
   _toggleEmptyMessage() {
     const hasResults = this._filtered.length > 0;
     if (!hasResults) {
@@ -199,43 +536,82 @@ export default class VirtualIconGrid {
   }
 
   _measureItem() {
-    // Create a sample tile using renderItem to get actual size and margins/gaps
+    // Grid tiles always use the configured estimateItemSize for robust layout
+    this._itemH = this.estimate.height;
+    if (!this.list) return;
+
+    // List rows hold text: render a sample at the row width to get their actual height
     const sampleData = this.items[0] || { value: 'sample' };
     const sample = this.renderItem(sampleData);
     sample.style.position = 'absolute';
     sample.style.visibility = 'hidden';
+    sample.style.width = this._itemW + 'px';
     sample.classList.add('vs-item');
-
-  // Ignore measured size, always use configured estimateItemSize for robust layout
-  this._itemW = this.estimate.width;
-  this._itemH = this.estimate.height;
-  sample.remove();
+    this._inner.appendChild(sample);
+    this._itemH = Math.max(this.estimate.height, Math.ceil(sample.offsetHeight));
+    sample.remove();
   }
 
   _computeLayout() {
     const width = this.container.clientWidth || 1;
+    if (this.list) {
+      this._cols = 1;
+      this._itemW = width;
+      return;
+    }
+
+    this._itemW = this.estimate.width;
     const fullW = this._itemW + this._gapX;
     const cols = Math.max(1, Math.floor((width + this._gapX) / fullW));
 
     this._cols = cols;
   }
 
-  _totalRows() {
-    return Math.ceil(this._filtered.length / this._cols);
+  /**
+   * Lay the sections out: a header row (unless the key is null), then rows of up to _cols items starting fresh
+   * at every section. Rows are variable height, so the window is found by searching their offsets.
+   */
+  _buildRows() {
+    const rows = [];
+    const rowH = this._itemH + this._gapY;
+    let top = 0;
+
+    this._hasHeaders = false;
+    this._sections.forEach((section) => {
+      section.row = rows.length;
+      if (section.key != null) {
+        rows.push({ top, height: this._headerH, start: section.start, end: section.start, header: section });
+        top += this._headerH + this._gapY;
+        this._hasHeaders = true;
+      }
+      section.firstRow = rows.length;
+      for (let i = 0; i < section.count; i += this._cols) {
+        rows.push({ top, height: this._itemH, start: section.start + i, end: section.start + Math.min(section.count, i + this._cols) });
+        top += rowH;
+      }
+    });
+
+    this._rows = rows;
+    this._stickySection = null; // sized for the previous layout
+    this._totalH = Math.max(0, top - this._gapY); // last row no gap
   }
 
   _updateInnerHeight() {
-    const rows = this._totalRows();
-    const totalH = rows * (this._itemH + this._gapY) - this._gapY; // last row no gap
-    this._inner.style.height = Math.max(0, totalH).toString() + 'px';
+    this._buildRows();
+    // Only a window of rows exists in the DOM, assistive technology gets the full size
+    this._inner.setAttribute('aria-rowcount', this._rows.length);
+    this._inner.setAttribute('aria-colcount', this._cols);
+    this._inner.style.height = this._totalH.toString() + 'px';
+    if (this.list) return; // rows fill the container, whatever its width
     const scrollBarWidth = this._inner.parentElement.offsetWidth - this._inner.parentElement.clientWidth
     this._inner.parentElement.style.width = Math.max(this._cols * (this._itemW + this._gapX) - this._gapX + scrollBarWidth) + 'px';
   }
 
   _onResize() {
     const prevCols = this._cols;
+    const prevW = this._itemW;
     this._computeLayout();
-    if (this._cols !== prevCols) {
+    if (this._cols !== prevCols || this._itemW !== prevW) {
       this._updateInnerHeight();
       this._lastRange.start = -1; // force repaint on layout change
       this._renderWindow();
@@ -250,44 +626,117 @@ export default class VirtualIconGrid {
   }
 
   _renderWindow() {
-    if (!this._filtered.length) {
+    if (!this._filtered.length || !this._rows.length) {
       this._inner.replaceChildren();
+      this._stickyEl.hidden = true;
+      this._stickySection = null;
       this._lastRange = { start: -1, end: -1 };
       return;
     }
 
     const viewTop = this.container.scrollTop;
     const viewH = this.container.clientHeight;
-    const rowH = this._itemH + this._gapY;
+    const rows = this._rows;
 
-    const firstRow = Math.max(0, Math.floor(viewTop / rowH) - this.bufferRows);
-    const lastRow = Math.floor((viewTop + viewH) / rowH) + this.bufferRows;
+    this._updateSticky(viewTop);
 
-    const start = firstRow * this._cols;
-    const endExclusive = Math.min(this._filtered.length, (lastRow + 1) * this._cols);
+    const firstRow = Math.max(0, this._rowAt(viewTop) - this.bufferRows);
+    const lastRow = Math.min(rows.length - 1, this._rowAt(viewTop + viewH) + this.bufferRows);
 
-    if (start === this._lastRange.start && endExclusive === this._lastRange.end) return;
-    this._lastRange = { start, end: endExclusive };
+    if (firstRow === this._lastRange.start && lastRow === this._lastRange.end) return;
+    this._lastRange = { start: firstRow, end: lastRow };
 
+    const hadFocus = this._inner.contains(document.activeElement);
+    const tabStop = this._activeIndex >= 0 ? this._activeIndex : rows[firstRow].start;
     const frag = document.createDocumentFragment();
 
-    for (let i = start; i < endExclusive; i++) {
+    for (let r = firstRow; r <= lastRow; r++) {
+      frag.appendChild(this._renderRow(r, tabStop));
+    }
+
+    // The active tile stays in the DOM when scrolled away, so focus and the tab stop are not lost
+    const activeRow = this._activeIndex >= 0 ? this._rowOfIndex(this._activeIndex) : -1;
+    if (activeRow >= 0 && activeRow < firstRow) frag.prepend(this._renderRow(activeRow, tabStop));
+    if (activeRow > lastRow) frag.appendChild(this._renderRow(activeRow, tabStop));
+
+    // The sticky header flows at the top of the scroll space, the rows are positioned over it
+    this._inner.replaceChildren(this._stickyEl, frag);
+
+    // Rebuilding the window drops the focused node; hand focus to its replacement
+    if (hadFocus) {
+      const el = this._elementAt(this._activeIndex);
+      if (el) el.focus({ preventScroll: true });
+    }
+  }
+
+  _renderRow(r, tabStop) {
+    const row = this._rows[r];
+    const rowEl = document.createElement('div');
+    rowEl.className = 'vs-row';
+    rowEl.setAttribute('role', 'row');
+    rowEl.setAttribute('aria-rowindex', r + 1);
+    rowEl.style.transform = `translateY(${row.top}px)`;
+    rowEl.style.height = row.height + 'px';
+
+    if (row.header) {
+      const header = this._createHeader(row.header);
+      header.setAttribute('role', 'columnheader');
+      header.setAttribute('aria-colspan', this._cols);
+      rowEl.appendChild(header);
+      return rowEl;
+    }
+
+    for (let i = row.start; i < row.end; i++) {
       const data = this._filtered[i];
       if (!data) continue;
-      const row = Math.floor(i / this._cols);
-      const col = i % this._cols;
-      const x = col * (this._itemW + this._gapX);
-      const y = row * (this._itemH + this._gapY);
+      const col = i - row.start;
+      const x = (this.rtl ? this._cols - 1 - col : col) * (this._itemW + this._gapX);
 
       const el = this.renderItem(data);
       el.classList.add('vs-item');
-      el.style.transform = `translate(${x}px, ${y}px)`;
+      el.setAttribute('role', 'gridcell');
+      el.setAttribute('aria-colindex', col + 1);
+      el.style.transform = `translateX(${x}px)`;
       el.style.width = this._itemW + 'px';
       el.style.height = this._itemH + 'px';
-  
-      frag.appendChild(el);
+      el.dataset.index = i;
+      el.tabIndex = i === tabStop ? 0 : -1;
+      if (i === this._activeIndex) el.classList.add('is-active');
+
+      rowEl.appendChild(el);
+    }
+
+    return rowEl;
+  }
+
+  _createHeader(section) {
+    const el = this.renderHeader(section);
+    el.classList.add('vs-header');
+    el.style.width = this._cols * (this._itemW + this._gapX) - this._gapX + 'px'; // spans every column
+    el.style.height = this._headerH + 'px';
+    return el;
+  }
+
+  // Keep the header of the section at the top of the viewport in place, pushed up by the next section
+  _updateSticky(viewTop) {
+    const sticky = this._stickyEl;
+    const index = this._hasHeaders ? this._sectionAt(this._rowAt(viewTop), true) : -1;
+    const section = this._sections[index];
+
+    if (!section || section.key == null) {
+      sticky.hidden = true;
+      this._stickySection = null;
+      return;
     }
 
-    this._inner.replaceChildren(frag);
+    if (this._stickySection !== section) {
+      this._stickySection = section;
+      sticky.replaceChildren(this._createHeader(section));
+    }
+    const next = this._sections[index + 1];
+    const push = next ? Math.min(0, this._rows[next.row].top - viewTop - this._headerH) : 0;
+    sticky.style.height = this._headerH + 'px';
+    sticky.style.transform = push ? `translateY(${push}px)` : '';
+    sticky.hidden = false;
   }
 }
@@ -1,6 +1,12 @@
 declare class IconPicker {
     constructor(el: String | HTMLElement, options: IconPicker.Options);
 
+    static clearCache(name?: string): Promise<boolean>;
+
+    static registerCollection(name: string, collection: Partial<IconPicker.CollectionSource>): void;
+
+    static LOCALES: Record<string, IconPicker.Options['i18n']>;
+
     on(event: IconPicker.EventType, callback?: Function): IconPicker;
 
     off(event: IconPicker.EventType, callback?: Function): IconPicker;
@@ -11,30 +17,200 @@ declare class IconPicker {
 
     isOpen(): boolean;
 
+    setValue(value: string | string[] | IconPicker.SelectedIcon | IconPicker.SelectedIcon[] | null, options?: {silent?: boolean}): IconPicker;
+
+    getValue(): string | string[] | null;
+
+    getSelected(): IconPicker.SelectedIcon | IconPicker.SelectedIcon[] | null;
+
     iconsLoaded(): boolean;
 
+    clearCache(): Promise<boolean>;
+
+    addSource(source: IconPicker.IconSource | Partial<IconPicker.CollectionSource>): Promise<IconPicker>;
+
+    removeSource(key: string): Promise<IconPicker>;
+
+    reload(): Promise<IconPicker>;
+
+    setTheme(theme: IconPicker.Theme | IconPicker.ThemeObject): IconPicker;
+
+    setView(view: IconPicker.View, density?: IconPicker.Density): IconPicker;
+
+    scrollToSection(key: string): boolean;
+
     detroy(deleteInstance?: boolean): void;
 }
 
 declare namespace IconPicker {
     interface Options {
-        theme: Theme,
-        iconSource: Array<IconSource | {key: string, prefix: string, url: string}>,
+        theme: Theme | ThemeObject,
+        display?: 'modal' | 'inline' | 'popover',
+        container?: string | HTMLElement | null,
+        iconSource: Array<IconSource | CollectionSource>,
+        fetcher?: ((url: string, source: CollectionSource, init?: RequestInit) => Promise<Response | object>) | null,
+        cache?: boolean | {name?: string, maxAge?: number},
+        worker?: boolean | string | URL,
+        sanitize?: boolean | ((markup: string) => string) | {sanitize(markup: string, config?: object): string},
+        timeout?: number,
         closeOnSelect?: boolean,
-        defaultValue?: string,
+        defaultValue?: string | string[],
+        multiple?: boolean,
+        maxSelections?: number | null,
+        valueSerializer?: 'comma' | 'json' | ValueSerializer,
+        valueFormat?: ValueFormat,
+        payloadFormats?: ValueFormat[],
+        customize?: boolean | Partial<Customization>,
+        details?: boolean,
+        view?: View,
+        density?: Density,
+        viewToggle?: boolean,
+        groupBy?: 'library' | 'category' | 'relevance' | ((icon: {value: string, inputValue: string, source: string, categories?: string[], tags?: string[]}, context: {score?: number, query: string}) => string | null) | null,
+        name?: string | null,
+        required?: boolean,
+        rememberLibrary?: boolean,
+        favorites?: boolean,
+        recentLimit?: number,
+        storage?: StorageAdapter | null,
+        storageKey?: string,
+        locale?: string | null,
+        direction?: 'auto' | 'ltr' | 'rtl',
+        nameFormatter?: ((name: string, icon: {value: string, source: string, locale: string | null}) => string) | null,
         i18n?: {
             'input:placeholder'?: string,
             'text:title'?: string,
             'text:empty'?: string,
-            'btn:save'?: string
+            'text:loading'?: string,
+            'text:error'?: string,
+            'text:selection'?: string,
+            'text:categories'?: string,
+            'text:libraries'?: string,
+            'text:recent'?: string,
+            'text:favorites'?: string,
+            'text:required'?: string,
+            'text:customize'?: string,
+            'text:color'?: string,
+            'text:size'?: string,
+            'text:rotate'?: string,
+            'text:details'?: string,
+            'text:name'?: string,
+            'text:class'?: string,
+            'text:library'?: string,
+            'text:unicode'?: string,
+            'text:copied'?: string,
+            'text:results'?: string | PluralMessage,
+            'text:view'?: string,
+            'text:bestMatches'?: string,
+            'text:goodMatches'?: string,
+            'text:relatedMatches'?: string,
+            'btn:save'?: string,
+            'btn:allCategories'?: string,
+            'btn:allLibraries'?: string,
+            'btn:favorite'?: string,
+            'btn:retry'?: string,
+            'btn:flipHorizontal'?: string,
+            'btn:flipVertical'?: string,
+            'btn:reset'?: string,
+            'btn:copyClass'?: string,
+            'btn:copySvg'?: string,
+            'btn:copyUnicode'?: string,
+            'btn:close'?: string,
+            'btn:viewCompact'?: string,
+            'btn:viewComfortable'?: string,
+            'btn:viewLarge'?: string,
+            'btn:viewList'?: string
         }
     }
 
+    /**
+     * One string per plural category of the locale, `{count}` is replaced by the formatted number
+     */
+    type PluralMessage = Partial<Record<'zero' | 'one' | 'two' | 'few' | 'many', string>> & {other: string};
+
+    interface CollectionSource {
+        key: string,
+        prefix: string,
+        url?: string,
+        data?: object,
+        load?: (source: CollectionSource, options: {signal: AbortSignal}) => Promise<object>
+    }
+
+    interface ValueSerializer {
+        serialize(values: string[]): string,
+        parse(value: string): string[]
+    }
+
+    interface StorageAdapter {
+        getItem(key: string): string | null | Promise<string | null>,
+        setItem(key: string, value: string): void | Promise<void>,
+        removeItem(key: string): void | Promise<void>
+    }
+
+    interface SelectedIcon {
+        name: string,
+        value: string,
+        id: string,
+        svg: string,
+        unicode?: string,
+        customization?: Customization,
+        dataUri?: string | null,
+        base64?: string | null,
+        maskImage?: string | null,
+        [format: string]: unknown
+    }
+
+    interface Customization {
+        color: string | null,
+        size: number | null,
+        rotate: 0 | 90 | 180 | 270,
+        hFlip: boolean,
+        vFlip: boolean
+    }
+
+    type ValueFormat = 'class' | 'name' | 'iconify' | 'svg' | 'dataUri' | 'base64' | 'maskImage' | 'json';
+
     type Theme = 'default' | 'bootstrap-5';
 
+    type View = 'grid' | 'list';
+
+    type Density = 'compact' | 'comfortable' | 'large';
+
+    /**
+     * Values of the `--icon-picker-<token>` custom properties, numbers are pixels
+     */
+    interface ThemeTokens {
+        color?: string,
+        background?: string,
+        overlay?: string,
+        shadow?: string,
+        radius?: string | number,
+        gap?: string | number,
+        border?: string,
+        tileBackground?: string,
+        tileRadius?: string | number,
+        tileSize?: string | number,
+        iconSize?: string | number,
+        iconColor?: string,
+        accent?: string,
+        accentColor?: string,
+        selectedBackground?: string,
+        selectedColor?: string,
+        favorite?: string,
+        muted?: string,
+        hover?: string,
+        error?: string,
+        errorBackground?: string
+    }
+
+    interface ThemeObject extends ThemeTokens {
+        name?: Theme | string,
+        colorScheme?: 'auto' | 'light' | 'dark',
+        dark?: ThemeTokens
+    }
+
     type IconSource = 'FontAwesome Brands 6' | 'FontAwesome Solid 6' | 'FontAwesome Regular 6' | 'Material Design Icons' | 'Iconoir'
 
-    type EventType = 'select' | 'save' | 'show' | 'hide';
+    type EventType = 'select' | 'save' | 'show' | 'hide' | 'clear' | 'loaded' | 'error';
 }
 
 
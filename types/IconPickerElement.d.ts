@@ -0,0 +1,29 @@
+/// <reference path="./IconPicker.d.ts" />
+
+declare class IconPickerElement extends HTMLElement {
+    static formAssociated: true;
+
+    static IconPicker: typeof IconPicker;
+
+    picker: IconPicker | null;
+
+    options: Partial<IconPicker.Options>;
+
+    value: string | string[] | null;
+
+    readonly form: HTMLFormElement | null;
+
+    readonly name: string | null;
+
+    readonly validity: ValidityState | undefined;
+
+    readonly validationMessage: string;
+
+    checkValidity(): boolean;
+
+    reportValidity(): boolean;
+}
+
+interface HTMLElementTagNameMap {
+    'icon-picker': IconPickerElement;
+}